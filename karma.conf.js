@@ -13,7 +13,13 @@ module.exports = config => {
       "src/index.js",
       `src/${config.model ? config.model : "**"}/*_test.js`,
       `src/${config.model ? config.model : "**"}/**/*_test.js`,
+      // loaded by the web worker of the neural network tests
+      { pattern: "node_modules/@tensorflow/tfjs/dist/tf.min.js", included: false, watched: false },
     ],
+    // like the builds of ml5, the bundle of the tests has tf.js next to it
+    proxies: {
+      "/base/src/tf.min.js": "/base/node_modules/@tensorflow/tfjs/dist/tf.min.js",
+    },
     preprocessors: {
       "src/index.js": ["webpack"],
     },
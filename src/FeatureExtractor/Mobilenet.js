@@ -11,7 +11,14 @@ import * as tf from "@tensorflow/tfjs";
 import axios from "axios";
 import Video from "./../utils/Video";
 import { imgToTensor } from "../utils/imageUtilities";
-import { saveBlob } from "../utils/io";
+import {
+  saveBlob,
+  isStoragePath,
+  saveToStorage,
+  loadFromStorage,
+  arrayBufferToBase64,
+  base64ToArrayBuffer,
+} from "../utils/io";
 import callCallback from "../utils/callcallback";
 
 const IMAGE_SIZE = 224;
@@ -451,7 +458,21 @@ class Mobilenet {
   }
 
   async load(filesOrPath = null, callback) {
-    if (typeof filesOrPath !== "string") {
+    if (isStoragePath(filesOrPath)) {
+      // a model saved to indexeddb://name or localstorage://name
+      const stored = await loadFromStorage(filesOrPath);
+      this.mapStringToIndex = stored.ml5Specs.mapStringToIndex;
+      this.jointModel = await tf.loadLayersModel(
+        tf.io.fromMemory({
+          modelTopology: stored.modelTopology,
+          weightSpecs: stored.weightSpecs,
+          weightData: base64ToArrayBuffer(stored.weightData),
+        }),
+      );
+      if (callback) {
+        callback();
+      }
+    } else if (typeof filesOrPath !== "string") {
       let model = null;
       let weights = null;
       Array.from(filesOrPath).forEach(file => {
@@ -487,11 +508,26 @@ class Mobilenet {
     if (!this.jointModel) {
       throw new Error("No model found.");
     }
-    this.jointModel.save(
+    await this.jointModel.save(
       tf.io.withSaveHandler(async data => {
         let modelName = "model";
         if (name) modelName = name;
 
+        if (isStoragePath(modelName)) {
+          await saveToStorage(modelName, {
+            modelTopology: data.modelTopology,
+            weightSpecs: data.weightSpecs,
+            weightData: arrayBufferToBase64(data.weightData),
+            ml5Specs: {
+              mapStringToIndex: this.mapStringToIndex,
+            },
+          });
+          if (callback) {
+            callback();
+          }
+          return;
+        }
+
         this.weightsManifest = {
           modelTopology: data.modelTopology,
           weightsManifest: [
@@ -29,6 +29,42 @@ describe('featureExtractor with Mobilenet', () => {
     expect(classifier.config.batchSize).toBe(FEATURE_EXTRACTOR_DEFAULTS.batchSize);
   });
 
+  describe('save & load', () => {
+    const createCanvas = color => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 32;
+      canvas.height = 32;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = color;
+      ctx.fillRect(0, 0, 32, 32);
+      return canvas;
+    };
+
+    it('should save to and load from indexeddb', async () => {
+      jasmine.DEFAULT_TIMEOUT_INTERVAL = 100000;
+      const extractor = featureExtractor('MobileNet', { epochs: 1 });
+      await extractor.ready;
+      const trained = extractor.classification();
+      await trained.addImage(createCanvas('red'), 'red');
+      await trained.addImage(createCanvas('red'), 'red');
+      await trained.addImage(createCanvas('blue'), 'blue');
+      await trained.addImage(createCanvas('blue'), 'blue');
+      await trained.train(() => {});
+      await trained.save(null, 'indexeddb://fe-test');
+
+      const paths = (await ml5.storage.list('indexeddb')).map(item => item.path);
+      expect(paths).toContain('indexeddb://fe-test');
+
+      const loaded = featureExtractor('MobileNet', {}).classification();
+      await loaded.ready;
+      await loaded.load('indexeddb://fe-test');
+      expect(loaded.mapStringToIndex).toEqual(['red', 'blue']);
+      expect(loaded.jointModel.countParams()).toBe(trained.jointModel.countParams());
+
+      await ml5.storage.delete('indexeddb://fe-test');
+    });
+  });
+
   // describe('predict', () => {
   //   it('Should classify an image of a Robin', async () => {
   //     const img = new Image();
@@ -10,6 +10,7 @@ K-Means Algorithm (with Euclidian distance).
 
 import * as tf from '@tensorflow/tfjs';
 import callCallback from '../utils/callcallback';
+import { loadCsv } from '../utils/csv';
 import {
   randomSample
 } from '../utils/random';
@@ -18,27 +19,19 @@ const DEFAULTS = {
   'k': 3,
   'maxIter': 5,
   'threshold': 0.5,
+  'csvOptions': {},
 };
 
-/**
- * Read in a csv file from a path to its location.
- * @param {string} path 
- */
-async function readCsv(path) {
-  const myCsv = tf.data.csv(path);
-  const loadedData = await myCsv.toArray();
-  return loadedData;
-}
-
 /**
  * Load and flatten an array of arrays, an array of objects, or a string
  *   path to a csv.
  * @param {string || array || object} inputData 
+ * @param {object} csvOptions - {delimiter, headers, hasHeader, inferTypes, decimal}
  */
-async function loadDataset(inputData) {
+async function loadDataset(inputData, csvOptions) {
   let data;
   if (typeof inputData === 'string') {
-    data = await readCsv(inputData);
+    data = await loadCsv(inputData, csvOptions);
   } else {
     data = inputData;
   }
@@ -57,6 +50,7 @@ class KMeans {
    *    - k: number of clusters
    *    - maxIter: Max number of iterations to try before forcing convergence.
    *    - threshold: Threshold for updated centriod distance before declaring convergence.
+   *    - csvOptions: How to read a csv dataset, e.g. {delimiter: ';'}
    * @param {function} callback  - Optional. A callback to be called once 
    *    the model has loaded. If no callback is provided, it will return a 
    *    promise that will be resolved once the model has loaded.
@@ -65,7 +59,8 @@ class KMeans {
     this.config = {
       k: options.k || DEFAULTS.k,
       maxIter: options.maxIter || DEFAULTS.maxIter,
-      threshold: options.threshold || DEFAULTS.threshold
+      threshold: options.threshold || DEFAULTS.threshold,
+      csvOptions: options.csvOptions || DEFAULTS.csvOptions,
     };
     this.ready = callCallback(this.load(dataset), callback);
   }
@@ -76,7 +71,7 @@ class KMeans {
    */
   async load(dataset) {
     
-    this.dataset = await loadDataset(dataset);
+    this.dataset = await loadDataset(dataset, this.config.csvOptions);
     tf.tidy( () => {
       this.dataTensor = tf.tensor2d(this.dataset);
       this.dataset.forEach(d => {
@@ -172,6 +172,7 @@ class KNN {
   /**
    * Download the whole dataset as a JSON file. It's useful for saving state.
    * @param {String} name - Optional. The name of the JSON file that will be downloaded. e.g. "myKNN" or "myKNN.json". If no fileName is provided, the default file name is "myKNN.json".
+   * A name like "indexeddb://myKNN" or "localstorage://myKNN" saves the dataset to the browser storage instead.
    */
   async save(name) {
     const dataset = this.knnClassifier.getClassifierDataset();
@@ -189,6 +190,11 @@ class KNN {
       }
       return null;
     });
+    if (io.isStoragePath(name)) {
+      // the browser storage keeps the same JSON as the downloaded file
+      await io.saveToStorage(name, JSON.parse(JSON.stringify({ dataset, tensors })));
+      return;
+    }
     let fileName = 'myKNN.json';
     if (name) {
       fileName = name.endsWith('.json') ? name : `${name}.json`;
@@ -198,13 +204,15 @@ class KNN {
 
   /**
    * Load a dataset from a JSON file. It's useful for restoring state.
-   * @param {String} pathOrData - The path for a valid JSON file.
+   * @param {String} pathOrData - The path for a valid JSON file, or a storage path like "indexeddb://myKNN".
    * @param {function} callback - Optional. A function to run once the dataset has been loaded. If no callback is provided, it will return a promise that will be resolved once the dataset has loaded.
    */
   async load(pathOrData, callback) {
     let data;
     if (typeof pathOrData === 'object') {
       data = pathOrData;
+    } else if (io.isStoragePath(pathOrData)) {
+      data = await io.loadFromStorage(pathOrData);
     } else {
       data = await io.loadFile(pathOrData);
     }
@@ -0,0 +1,45 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+const { KNNClassifier } = ml5;
+
+describe('KNNClassifier', () => {
+  describe('save & load', () => {
+    ['localstorage://knn-test', 'indexeddb://knn-test'].forEach(path => {
+      it(`should save to and load from ${path}`, async () => {
+        const knn = KNNClassifier();
+        knn.addExample([0, 0], 'a');
+        knn.addExample([0, 1], 'a');
+        knn.addExample([5, 5], 'b');
+        await knn.save(path);
+
+        const paths = (await ml5.storage.list()).map(item => item.path);
+        expect(paths).toContain(path);
+
+        const loaded = KNNClassifier();
+        await loaded.load(path);
+        expect(loaded.getCountByLabel()).toEqual({ a: 2, b: 1 });
+        const result = await loaded.classify([5, 4], 1);
+        expect(result.label).toBe('b');
+
+        await ml5.storage.delete(path);
+      });
+    });
+
+    it('should skip values which were not saved by ml5 when listing', async () => {
+      localStorage.setItem('ml5/not-json', '{');
+      const knn = KNNClassifier();
+      knn.addExample([0, 0], 'a');
+      await knn.save('localstorage://knn-test');
+
+      const paths = (await ml5.storage.list('localstorage')).map(item => item.path);
+      expect(paths).toContain('localstorage://knn-test');
+      expect(paths).not.toContain('localstorage://not-json');
+
+      localStorage.removeItem('ml5/not-json');
+      await ml5.storage.delete('localstorage://knn-test');
+    });
+  });
+});
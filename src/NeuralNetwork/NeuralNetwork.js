@@ -3,6 +3,9 @@ import axios from 'axios';
 import callCallback from '../utils/callcallback';
 import { saveBlob } from '../utils/io';
 import { randomGaussian } from '../utils/random';
+import { earlyStopping, learningRateScheduler } from './NeuralNetworkCallbacks';
+import { createAugmentedDataset, splitValidationData } from './NeuralNetworkAugmentation';
+import { selectUnits } from './NeuralNetworkLayers';
 
 class NeuralNetwork {
   constructor() {
@@ -10,21 +13,32 @@ class NeuralNetwork {
     this.isTrained = false;
     this.isCompiled = false;
     this.isLayered = false;
+    this.isPaused = false;
     // the model
     this.model = null;
+    // resolves the pause between two batches
+    this.resolvePause = null;
 
     // methods
     this.init = this.init.bind(this);
     this.createModel = this.createModel.bind(this);
+    this.createFunctionalModel = this.createFunctionalModel.bind(this);
     this.addLayer = this.addLayer.bind(this);
     this.compile = this.compile.bind(this);
     this.setOptimizerFunction = this.setOptimizerFunction.bind(this);
     this.train = this.train.bind(this);
     this.trainInternal = this.trainInternal.bind(this);
+    this.createCallbacks = this.createCallbacks.bind(this);
+    this.pauseTraining = this.pauseTraining.bind(this);
+    this.resumeTraining = this.resumeTraining.bind(this);
+    this.stopTraining = this.stopTraining.bind(this);
+    this.waitWhilePaused = this.waitWhilePaused.bind(this);
     this.predict = this.predict.bind(this);
     this.classify = this.classify.bind(this);
     this.save = this.save.bind(this);
     this.load = this.load.bind(this);
+    this.getArtifacts = this.getArtifacts.bind(this);
+    this.loadArtifacts = this.loadArtifacts.bind(this);
 
     // initialize
     this.init();
@@ -38,21 +52,73 @@ class NeuralNetwork {
   }
 
   /**
-   * creates a sequential model
+   * creates a sequential or a functional model
    * uses switch/case for potential future where different formats are supported
    * @param {*} _type
+   * @param {*} _options - the graph of a functional model, see createFunctionalModel()
    */
-  createModel(_type = 'sequential') {
+  createModel(_type = 'sequential', _options = {}) {
     switch (_type.toLowerCase()) {
       case 'sequential':
         this.model = tf.sequential();
         return this.model;
+      case 'functional':
+        this.model = this.createFunctionalModel(_options);
+        this.isLayered = true;
+        return this.model;
       default:
         this.model = tf.sequential();
         return this.model;
     }
   }
 
+  /**
+   * creates a functional model from a graph of layers, which ends in
+   * an output layer for each output. every layer takes the layers named
+   * in its inputs or otherwise the layer before it. input nodes,
+   * {type: 'input', name, indices}, select some of the units of the input
+   * @param {*} _options - {inputShape, layers, outputLayers}
+   */
+  // eslint-disable-next-line class-methods-use-this
+  createFunctionalModel(_options) {
+    const { inputShape, layers = [], outputLayers } = _options;
+
+    const input = tf.input({ shape: inputShape });
+    const nodes = {};
+    let previous = input;
+
+    const applyLayer = layer => {
+      const { inputs, indices, ...config } = layer;
+
+      let source = previous;
+      if (inputs !== undefined) {
+        source = [].concat(inputs).map(name => {
+          if (!nodes[name]) {
+            throw new Error(`the layer ${name} must be defined before the layers that take it as input`);
+          }
+          return nodes[name];
+        });
+        // merge layers take an array, all others a single input
+        source = source.length === 1 ? source[0] : source;
+      }
+
+      if (config.type === 'input') {
+        return indices ? selectUnits({ name: config.name, indices }).apply(input) : input;
+      }
+      return tf.layers[config.type](config).apply(source);
+    };
+
+    layers.forEach(layer => {
+      previous = applyLayer(layer);
+      if (layer.name) {
+        nodes[layer.name] = previous;
+      }
+    });
+    const outputs = outputLayers.map(applyLayer);
+
+    return tf.model({ inputs: input, outputs });
+  }
+
   /**
    * add layer to the model
    * if the model has 2 or more layers switch the isLayered flag
@@ -107,49 +173,160 @@ class NeuralNetwork {
     const xs = TRAINING_OPTIONS.inputs;
     const ys = TRAINING_OPTIONS.outputs;
 
-    const { batchSize, epochs, shuffle, validationSplit, whileTraining } = TRAINING_OPTIONS;
-
-    await this.model.fit(xs, ys, {
+    const {
       batchSize,
       epochs,
       shuffle,
       validationSplit,
-      callbacks: whileTraining,
-    });
+      validationData,
+      initialEpoch,
+      classWeight,
+      augmentation,
+    } = TRAINING_OPTIONS;
+
+    // hold the training between batches while it is paused
+    const callbacks = [
+      ...this.createCallbacks(TRAINING_OPTIONS),
+      { onBatchEnd: this.waitWhilePaused },
+    ];
+
+    if (augmentation) {
+      // the validation data are held out before the
+      // training images are augmented batch by batch
+      const split = validationData
+        ? { xs: xs.clone(), ys: ys.clone(), validationData }
+        : splitValidationData(xs, ys, validationSplit);
+      const dataset = createAugmentedDataset(split.xs, split.ys, {
+        augmentation,
+        batchSize,
+        shuffle,
+      });
+
+      await this.model.fitDataset(dataset, {
+        epochs,
+        validationData: split.validationData,
+        initialEpoch,
+        classWeight,
+        callbacks,
+      });
 
+      tf.dispose([split.xs, split.ys, split.validationData]);
+    } else {
+      await this.model.fit(xs, ys, {
+        batchSize,
+        epochs,
+        shuffle,
+        validationSplit,
+        validationData,
+        initialEpoch,
+        classWeight,
+        callbacks,
+      });
+    }
+
+    // functional models with several outputs are trained on a tensor for each output
     xs.dispose();
-    ys.dispose();
+    [].concat(ys).forEach(tensor => tensor.dispose());
+    if (validationData) {
+      validationData.flat().forEach(tensor => tensor.dispose());
+    }
 
     this.isTrained = true;
   }
 
   /**
-   * returns the prediction as an array synchronously
+   * returns the whileTraining callbacks along with
+   * the early stopping and learning rate schedule callbacks
+   * @param {*} _options
+   */
+  createCallbacks(_options) {
+    const { whileTraining, learningRateSchedule } = _options;
+
+    const callbacks = [].concat(whileTraining || []);
+    if (_options.earlyStopping) {
+      const earlyStoppingOptions =
+        typeof _options.earlyStopping === 'object' ? _options.earlyStopping : {};
+      callbacks.push(earlyStopping(this.model, earlyStoppingOptions));
+    }
+    if (learningRateSchedule) {
+      callbacks.push(learningRateScheduler(this.model, learningRateSchedule));
+    }
+    return callbacks;
+  }
+
+  /**
+   * pauses the training after the current batch
+   */
+  pauseTraining() {
+    this.isPaused = true;
+  }
+
+  /**
+   * resumes a paused training
+   */
+  resumeTraining() {
+    this.isPaused = false;
+    if (this.resolvePause) {
+      this.resolvePause();
+      this.resolvePause = null;
+    }
+  }
+
+  /**
+   * stops the training after the current batch,
+   * a paused training is stopped as well
+   */
+  stopTraining() {
+    this.model.stopTraining = true;
+    this.resumeTraining();
+  }
+
+  /**
+   * returns a promise which resolves once the training is resumed.
+   * model.fit() waits for the promises of its callbacks
+   */
+  waitWhilePaused() {
+    if (!this.isPaused) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      this.resolvePause = resolve;
+    });
+  }
+
+  /**
+   * returns the prediction as an array synchronously.
+   * models with several outputs return an array for each output
    * @param {*} _inputs
    */
   predictSync(_inputs) {
     const output = tf.tidy(() => {
       return this.model.predict(_inputs);
     });
-    const result = output.arraySync();
+    const result = Array.isArray(output)
+      ? output.map(tensor => tensor.arraySync())
+      : output.arraySync();
 
-    output.dispose();
+    [].concat(output).forEach(tensor => tensor.dispose());
     _inputs.dispose();
 
     return result;
   }
 
   /**
-   * returns the prediction as an array
+   * returns the prediction as an array.
+   * models with several outputs return an array for each output
    * @param {*} _inputs
    */
   async predict(_inputs) {
     const output = tf.tidy(() => {
       return this.model.predict(_inputs);
     });
-    const result = await output.array();
+    const result = Array.isArray(output)
+      ? await Promise.all(output.map(tensor => tensor.array()))
+      : await output.array();
 
-    output.dispose();
+    [].concat(output).forEach(tensor => tensor.dispose());
     _inputs.dispose();
 
     return result;
@@ -197,7 +374,7 @@ class NeuralNetwork {
       modelName = 'model';
     }
 
-    this.model.save(
+    await this.model.save(
       tf.io.withSaveHandler(async data => {
         this.weightsManifest = {
           modelTopology: data.modelTopology,
@@ -239,11 +416,17 @@ class NeuralNetwork {
         }),
       );
 
-      const model = files.find(item => item.name === 'model').file;
-      const weights = files.find(item => item.name === 'weights').file;
+      const model = files.find(item => item.name === 'model');
+      const weights = files.find(item => item.name === 'weights');
+      if (!model) {
+        throw new Error('the model .json file is missing, select it along with the .weights.bin and _meta.json files');
+      }
+      if (!weights) {
+        throw new Error('the .weights.bin file is missing, select it along with the model .json and _meta.json files');
+      }
 
       // load the model
-      this.model = await tf.loadLayersModel(tf.io.browserFiles([model, weights]));
+      this.model = await tf.loadLayersModel(tf.io.browserFiles([model.file, weights.file]));
     } else if (filesOrPath instanceof Object) {
       // load the modelJson
       const modelJsonResult = await axios.get(filesOrPath.model, { responseType: 'text' });
@@ -274,11 +457,41 @@ class NeuralNetwork {
     return this.model;
   }
 
+  /**
+   * returns the topology, weight specs and weight data of the model
+   */
+  async getArtifacts() {
+    let artifacts;
+    await this.model.save(
+      tf.io.withSaveHandler(async data => {
+        artifacts = data;
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+      }),
+    );
+    return artifacts;
+  }
+
+  /**
+   * loads the model from its topology, weight specs and weight data
+   * @param {*} artifacts - {modelTopology, weightSpecs, weightData}
+   */
+  async loadArtifacts(artifacts) {
+    this.model = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+
+    this.isCompiled = true;
+    this.isLayered = true;
+    this.isTrained = true;
+
+    return this.model;
+  }
+
   /**
    * dispose and release the memory for the model
    */
   dispose() {
-    this.model.dispose();
+    if (this.model !== null) {
+      this.model.dispose();
+    }
   }
 
   // NeuroEvolution Functions
@@ -0,0 +1,197 @@
+import * as tf from '@tensorflow/tfjs';
+import { randomFloat } from '../utils/random';
+
+/**
+ * Randomized variants of the training images which are created
+ * batch by batch while training, so that a model trained on a few
+ * images per class is less likely to overfit. The images keep their
+ * shape and the training data themselves are never changed
+ */
+
+const AUGMENTATIONS = ['flip', 'rotate', 'brightness', 'crop', 'noise'];
+
+/**
+ * checks the augmentation options
+ * @param {*} augmentation - {flip, rotate, brightness, crop, noise}
+ */
+const checkAugmentation = augmentation => {
+  Object.keys(augmentation).forEach(key => {
+    if (!AUGMENTATIONS.includes(key)) {
+      throw new Error(`${key} is not an augmentation. Use ${AUGMENTATIONS.join(', ')}`);
+    }
+  });
+  ['brightness', 'crop', 'noise'].forEach(key => {
+    const value = augmentation[key];
+    if (value !== undefined && value !== false && !(value >= 0 && value <= 1)) {
+      throw new Error(`the ${key} augmentation must be between 0 and 1`);
+    }
+  });
+};
+
+/**
+ * flips each image horizontally with a chance of 50%
+ * @param {*} images - [batch, height, width, channels]
+ */
+const randomFlip = images => {
+  const flips = tf.randomUniform([images.shape[0]]).less(0.5);
+  return tf.where(flips, tf.reverse(images, 2), images);
+};
+
+/**
+ * rotates an image around its center. each pixel is taken from
+ * the nearest pixel of the image, pixels from outside of the image
+ * repeat the closest pixel of its edge
+ * @param {*} image - [height, width, channels]
+ * @param {*} degrees
+ */
+const rotateImage = (image, degrees) => {
+  const [height, width, channels] = image.shape;
+  const angle = (degrees * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const centerX = (width - 1) / 2;
+  const centerY = (height - 1) / 2;
+
+  const indices = new Int32Array(height * width);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const dx = x - centerX;
+      const dy = y - centerY;
+      const sourceX = Math.round(cos * dx + sin * dy + centerX);
+      const sourceY = Math.round(-sin * dx + cos * dy + centerY);
+      indices[y * width + x] =
+        Math.min(Math.max(sourceY, 0), height - 1) * width +
+        Math.min(Math.max(sourceX, 0), width - 1);
+    }
+  }
+
+  return tf.gather(image.reshape([height * width, channels]), indices).reshape(image.shape);
+};
+
+/**
+ * rotates each image by up to maxDegrees in either direction
+ * @param {*} images
+ * @param {*} maxDegrees
+ */
+const randomRotate = (images, maxDegrees) =>
+  tf.stack(tf.unstack(images).map(image => rotateImage(image, randomFloat(-maxDegrees, maxDegrees))));
+
+/**
+ * crops a random part of each image and resizes it to the size of the
+ * image. each side keeps at least 1 - maxCrop of its length
+ * @param {*} images
+ * @param {*} maxCrop - between 0 and 1
+ */
+const randomCrop = (images, maxCrop) => {
+  const [batch, height, width] = images.shape;
+  const boxes = [...new Array(batch)].map(() => {
+    const size = 1 - randomFloat(0, maxCrop);
+    const top = randomFloat(0, 1 - size);
+    const left = randomFloat(0, 1 - size);
+    return [top, left, top + size, left + size];
+  });
+  const boxIndices = [...new Array(batch)].map((item, idx) => idx);
+
+  return tf.image.cropAndResize(images, boxes, boxIndices, [height, width]);
+};
+
+/**
+ * returns randomized variants of a batch of images
+ * @param {*} images - [batch, height, width, channels]
+ * @param {*} augmentation - {flip, rotate, brightness, crop, noise}
+ * @param {*} range - [min, max], the range of the pixel values
+ */
+const augmentImages = (images, augmentation, range) => {
+  const { flip, rotate, brightness, crop, noise } = augmentation;
+  const [min, max] = range;
+
+  return tf.tidy(() => {
+    let augmented = images;
+    if (flip) {
+      augmented = randomFlip(augmented);
+    }
+    if (rotate) {
+      augmented = randomRotate(augmented, rotate);
+    }
+    if (crop) {
+      augmented = randomCrop(augmented, crop);
+    }
+    // brightness and noise are shares of the range of the pixel values
+    if (brightness) {
+      const deltas = tf.randomUniform([images.shape[0], 1, 1, 1], -brightness, brightness);
+      augmented = augmented.add(deltas.mul(max - min));
+    }
+    if (noise) {
+      augmented = augmented.add(tf.randomNormal(images.shape, 0, noise * (max - min)));
+    }
+    return augmented.clipByValue(min, max);
+  });
+};
+
+/**
+ * holds out the last part of the data for validation,
+ * like the validationSplit of model.fit()
+ * @param {*} xs
+ * @param {*} ys
+ * @param {*} validationSplit
+ */
+const splitValidationData = (xs, ys, validationSplit = 0) => {
+  const validationSize = Math.floor(xs.shape[0] * validationSplit);
+  if (validationSize === 0) {
+    return { xs: xs.clone(), ys: ys.clone(), validationData: undefined };
+  }
+
+  const trainingSize = xs.shape[0] - validationSize;
+  return {
+    xs: xs.slice(0, trainingSize),
+    ys: ys.slice(0, trainingSize),
+    validationData: [xs.slice(trainingSize), ys.slice(trainingSize)],
+  };
+};
+
+/**
+ * creates a dataset of augmented batches of the images. a new
+ * variant of every image is created in each epoch
+ * @param {*} xs - [images, height, width, channels]
+ * @param {*} ys
+ * @param {*} options - {augmentation, batchSize, shuffle}
+ */
+const createAugmentedDataset = (xs, ys, options) => {
+  const { augmentation, batchSize = 32, shuffle = true } = options;
+
+  checkAugmentation(augmentation);
+  if (xs.rank !== 4) {
+    throw new Error(
+      `augmentation needs images of shape [height, width, channels], the inputs have the shape [${xs.shape.slice(1)}]`,
+    );
+  }
+
+  const range = tf.tidy(() => [xs.min().dataSync()[0], xs.max().dataSync()[0]]);
+  const size = xs.shape[0];
+
+  return tf.data.generator(() => {
+    const order = [...new Array(size)].map((item, idx) => idx);
+    if (shuffle) {
+      tf.util.shuffle(order);
+    }
+    let start = 0;
+
+    return {
+      next: () => {
+        if (start >= size) {
+          return { value: null, done: true };
+        }
+        const indices = order.slice(start, start + batchSize);
+        start += batchSize;
+
+        const value = tf.tidy(() => ({
+          xs: augmentImages(tf.gather(xs, indices), augmentation, range),
+          ys: tf.gather(ys, indices),
+        }));
+        return { value, done: false };
+      },
+    };
+  });
+};
+
+export { augmentImages, splitValidationData, createAugmentedDataset };
@@ -0,0 +1,139 @@
+import axios from 'axios';
+import { arrayBufferToBase64, base64ToArrayBuffer } from '../utils/io';
+
+/**
+ * A single file (.ml5) holding the topology, weights and
+ * metadata of a neural network, so that a model is saved and
+ * loaded as one file rather than three
+ */
+
+const BUNDLE_FORMAT = 'ml5.neuralNetwork';
+const BUNDLE_VERSION = 1;
+const BUNDLE_EXTENSION = '.ml5';
+
+// the bytes of each weight, quantized weights are stored with their quantization dtype
+const BYTES_PER_ELEMENT = {
+  float32: 4,
+  int32: 4,
+  bool: 1,
+  uint16: 2,
+  uint8: 1,
+};
+
+/**
+ * returns the number of bytes the weights of the specs take
+ * @param {*} weightSpecs
+ */
+const getWeightsByteLength = weightSpecs =>
+  weightSpecs.reduce((sum, spec) => {
+    const dtype = spec.quantization ? spec.quantization.dtype : spec.dtype;
+    const size = spec.shape.reduce((a, b) => a * b, 1);
+    return sum + size * BYTES_PER_ELEMENT[dtype];
+  }, 0);
+
+/**
+ * creates a bundle from the artifacts of a saved model and its metadata
+ * @param {*} artifacts - {modelTopology, weightSpecs, weightData}
+ * @param {*} meta
+ */
+const createBundle = (artifacts, meta) => {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    modelTopology: artifacts.modelTopology,
+    weightSpecs: artifacts.weightSpecs,
+    weightData: arrayBufferToBase64(artifacts.weightData),
+    meta,
+  };
+};
+
+/**
+ * checks a bundle and returns the artifacts of its model and its metadata
+ * @param {*} bundle
+ */
+const parseBundle = bundle => {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error(`the file is not an ${BUNDLE_FORMAT} bundle`);
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(
+      `the bundle has version ${bundle.version}, this version of ml5 reads bundles up to version ${BUNDLE_VERSION}`,
+    );
+  }
+  ['modelTopology', 'weightSpecs', 'weightData', 'meta'].forEach(key => {
+    if (bundle[key] === undefined || bundle[key] === null) {
+      throw new Error(`the bundle has no ${key}`);
+    }
+  });
+
+  const weightData = base64ToArrayBuffer(bundle.weightData);
+  const expectedByteLength = getWeightsByteLength(bundle.weightSpecs);
+  if (weightData.byteLength !== expectedByteLength) {
+    throw new Error(
+      `the weights of the bundle have ${weightData.byteLength} bytes, but the model needs ${expectedByteLength}`,
+    );
+  }
+
+  // the metadata have to describe the inputs the model was built for
+  const { layers } = bundle.modelTopology.config;
+  const modelInputShape = layers[0].config.batch_input_shape.slice(1);
+  if (JSON.stringify(modelInputShape) !== JSON.stringify([].concat(bundle.meta.inputUnits))) {
+    throw new Error(
+      `the metadata of the bundle describe inputs of shape [${bundle.meta.inputUnits}], but the model takes [${modelInputShape}]`,
+    );
+  }
+
+  return {
+    artifacts: {
+      modelTopology: bundle.modelTopology,
+      weightSpecs: bundle.weightSpecs,
+      weightData,
+    },
+    meta: bundle.meta,
+  };
+};
+
+/**
+ * checks whether a path, file or list of files is a bundle
+ * @param {*} filesOrPath
+ */
+const isBundle = filesOrPath => {
+  if (typeof filesOrPath === 'string') {
+    return filesOrPath.split(/[?#]/)[0].endsWith(BUNDLE_EXTENSION);
+  }
+  if (filesOrPath instanceof FileList) {
+    return Array.from(filesOrPath).some(file => file.name.endsWith(BUNDLE_EXTENSION));
+  }
+  return typeof Blob !== 'undefined' && filesOrPath instanceof Blob;
+};
+
+/**
+ * loads a bundle from a url, a file or a list of files
+ * @param {*} filesOrPath
+ */
+const loadBundle = async filesOrPath => {
+  let bundle;
+  if (typeof filesOrPath === 'string') {
+    const { data } = await axios.get(filesOrPath, { responseType: 'text' });
+    bundle = data;
+  } else {
+    const file =
+      filesOrPath instanceof FileList
+        ? Array.from(filesOrPath).find(item => item.name.endsWith(BUNDLE_EXTENSION))
+        : filesOrPath;
+    bundle = await file.text();
+  }
+
+  // axios parses json responses
+  if (typeof bundle === 'string') {
+    try {
+      bundle = JSON.parse(bundle);
+    } catch (e) {
+      throw new Error(`the file is not an ${BUNDLE_FORMAT} bundle`);
+    }
+  }
+
+  return parseBundle(bundle);
+};
+
+export { BUNDLE_EXTENSION, createBundle, parseBundle, isBundle, loadBundle };
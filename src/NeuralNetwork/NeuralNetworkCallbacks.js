@@ -0,0 +1,200 @@
+/**
+ * Training callbacks which can be added to the
+ * whileTraining callbacks of model.fit()
+ */
+
+/**
+ * returns the monitored value from the logs of an epoch.
+ * tf.js logs the accuracy as "acc" and only logs the
+ * validation values if there is validation data, in which
+ * case the training value is used instead
+ * @param {*} logs
+ * @param {*} monitor
+ */
+const getMonitorValue = (logs, monitor) => {
+  const key = monitor.replace('accuracy', 'acc');
+  if (logs[key] !== undefined) {
+    return logs[key];
+  }
+  return logs[key.replace('val_', '')];
+};
+
+/**
+ * returns a function which checks if a value is better than
+ * the best value so far. accuracies should increase, losses decrease
+ * @param {*} monitor
+ * @param {*} minDelta
+ */
+const createImprovementCheck = (monitor, minDelta) => {
+  if (monitor.includes('acc')) {
+    return (current, best) => best === undefined || current - minDelta > best;
+  }
+  return (current, best) => best === undefined || current + minDelta < best;
+};
+
+/**
+ * getLearningRate
+ * @param {*} optimizer
+ */
+const getLearningRate = optimizer => optimizer.learningRate;
+
+/**
+ * sets the learning rate of the optimizer. the sgd optimizer
+ * caches its learning rate and has to be updated with setLearningRate()
+ * @param {*} optimizer
+ * @param {*} learningRate
+ */
+const setLearningRate = (optimizer, learningRate) => {
+  if (typeof optimizer.setLearningRate === 'function') {
+    optimizer.setLearningRate(learningRate);
+  } else {
+    // eslint-disable-next-line no-param-reassign
+    optimizer.learningRate = learningRate;
+  }
+};
+
+/**
+ * earlyStopping
+ * stops the training once the monitored value has not improved
+ * by at least minDelta for patience epochs and optionally restores
+ * the weights of the best epoch once the training has ended
+ * @param {*} model
+ * @param {*} _options - {monitor, patience, minDelta, restoreBestWeights}
+ */
+const earlyStopping = (model, _options = {}) => {
+  const options = {
+    monitor: 'val_loss',
+    patience: 5,
+    minDelta: 0,
+    restoreBestWeights: false,
+    ..._options,
+  };
+  const isImprovement = createImprovementCheck(options.monitor, options.minDelta);
+
+  let best;
+  let wait = 0;
+  let bestWeights = null;
+
+  const disposeBestWeights = () => {
+    if (bestWeights) {
+      bestWeights.forEach(tensor => tensor.dispose());
+      bestWeights = null;
+    }
+  };
+
+  return {
+    onTrainBegin: async () => {
+      best = undefined;
+      wait = 0;
+      disposeBestWeights();
+    },
+    onEpochEnd: async (epoch, logs) => {
+      const current = getMonitorValue(logs, options.monitor);
+      if (current === undefined) return;
+
+      if (isImprovement(current, best)) {
+        best = current;
+        wait = 0;
+        if (options.restoreBestWeights) {
+          disposeBestWeights();
+          bestWeights = model.getWeights().map(tensor => tensor.clone());
+        }
+      } else {
+        wait += 1;
+        if (wait >= options.patience) {
+          // eslint-disable-next-line no-param-reassign
+          model.stopTraining = true;
+        }
+      }
+    },
+    onTrainEnd: async () => {
+      if (bestWeights) {
+        model.setWeights(bestWeights);
+        disposeBestWeights();
+      }
+    },
+  };
+};
+
+/**
+ * learningRateScheduler
+ * changes the learning rate of the model's optimizer after each epoch.
+ * the schedule is either a function (epoch, learningRate) => learningRate
+ * or an object with one of the types:
+ *  - step: {type: 'step', stepSize, factor}
+ *  - exponential: {type: 'exponential', decayRate}
+ *  - reduceOnPlateau: {type: 'reduceOnPlateau', monitor, factor, patience, minDelta, minLearningRate}
+ * @param {*} model
+ * @param {*} schedule
+ */
+const learningRateScheduler = (model, schedule) => {
+  const options = {
+    stepSize: 10,
+    factor: 0.5,
+    decayRate: 0.95,
+    monitor: 'val_loss',
+    patience: 3,
+    minDelta: 0,
+    minLearningRate: 0,
+    ...(typeof schedule === 'object' ? schedule : {}),
+  };
+  const isImprovement = createImprovementCheck(options.monitor, options.minDelta);
+
+  let initialLearningRate;
+  let best;
+  let wait = 0;
+
+  /**
+   * returns the learning rate for the next epoch
+   * @param {*} epoch - the epoch that has just ended
+   * @param {*} logs
+   */
+  const getNextLearningRate = (epoch, logs) => {
+    const learningRate = getLearningRate(model.optimizer);
+
+    if (typeof schedule === 'function') {
+      return schedule(epoch, learningRate);
+    }
+
+    switch (options.type) {
+      case 'step':
+        return initialLearningRate * options.factor ** Math.floor((epoch + 1) / options.stepSize);
+      case 'exponential':
+        return initialLearningRate * options.decayRate ** (epoch + 1);
+      case 'reduceOnPlateau': {
+        const current = getMonitorValue(logs, options.monitor);
+        if (current === undefined) return learningRate;
+
+        if (isImprovement(current, best)) {
+          best = current;
+          wait = 0;
+          return learningRate;
+        }
+
+        wait += 1;
+        if (wait >= options.patience) {
+          wait = 0;
+          return Math.max(learningRate * options.factor, options.minLearningRate);
+        }
+        return learningRate;
+      }
+      default:
+        throw new Error(
+          `${options.type} is not a learning rate schedule. Use 'step', 'exponential' or 'reduceOnPlateau'`,
+        );
+    }
+  };
+
+  return {
+    onTrainBegin: async () => {
+      initialLearningRate = getLearningRate(model.optimizer);
+      best = undefined;
+      wait = 0;
+    },
+    onEpochEnd: async (epoch, logs) => {
+      setLearningRate(model.optimizer, getNextLearningRate(epoch, logs));
+    },
+  };
+};
+
+export { earlyStopping, learningRateScheduler };
@@ -1,8 +1,13 @@
 import * as tf from '@tensorflow/tfjs';
 import axios from 'axios';
 import { saveBlob } from '../utils/io';
+import { parseCsv, stringifyCsv, loadCsv, inferType } from '../utils/csv';
+import { randomSample } from '../utils/random';
 import nnUtils from './NeuralNetworkUtils';
 
+// marks the csv columns of saved data which hold strings
+const STRING_COLUMN_SUFFIX = ':string';
+
 class NeuralNetworkData {
   constructor() {
     this.meta = {
@@ -26,13 +31,35 @@ class NeuralNetworkData {
     this.createMetadata = this.createMetadata.bind(this);
     this.getDataStats = this.getDataStats.bind(this);
     this.getInputMetaStats = this.getInputMetaStats.bind(this);
+    this.getNormalizationStats = this.getNormalizationStats.bind(this);
     this.getDataUnits = this.getDataUnits.bind(this);
     this.getInputMetaUnits = this.getInputMetaUnits.bind(this);
     this.getDTypesFromData = this.getDTypesFromData.bind(this);
+    this.getSequenceMeta = this.getSequenceMeta.bind(this);
+    this.isMultiHead = this.isMultiHead.bind(this);
     // add data
     this.addData = this.addData.bind(this);
+    // missing values
+    this.getColumnLabels = this.getColumnLabels.bind(this);
+    this.getMissingValuesReport = this.getMissingValuesReport.bind(this);
+    this.handleMissingValues = this.handleMissingValues.bind(this);
+    this.getImputedValues = this.getImputedValues.bind(this);
+    this.getConstantValue = this.getConstantValue.bind(this);
+    this.getImputedValue = this.getImputedValue.bind(this);
+    this.getDataSummary = this.getDataSummary.bind(this);
+    // data splitting
+    this.groupIndicesByClass = this.groupIndicesByClass.bind(this);
+    this.getSplitIndices = this.getSplitIndices.bind(this);
+    this.splitData = this.splitData.bind(this);
+    this.createFolds = this.createFolds.bind(this);
+    // class balancing
+    this.getClassOutput = this.getClassOutput.bind(this);
+    this.getClassCounts = this.getClassCounts.bind(this);
+    this.getClassWeights = this.getClassWeights.bind(this);
+    this.resampleIndices = this.resampleIndices.bind(this);
     // data conversion
     this.convertRawToTensors = this.convertRawToTensors.bind(this);
+    this.resizeSequence = this.resizeSequence.bind(this);
     // data normalization / unnormalization
     this.normalizeDataRaw = this.normalizeDataRaw.bind(this);
     this.normalizeInputData = this.normalizeInputData.bind(this);
@@ -43,6 +70,9 @@ class NeuralNetworkData {
     this.getDataOneHot = this.getDataOneHot.bind(this);
     this.getInputMetaOneHot = this.getInputMetaOneHot.bind(this);
     this.createOneHotEncodings = this.createOneHotEncodings.bind(this);
+    this.encodeMultiLabel = this.encodeMultiLabel.bind(this);
+    this.createVocabulary = this.createVocabulary.bind(this);
+    this.lookupVocabulary = this.lookupVocabulary.bind(this);
     // Saving / loading data
     this.loadDataFromUrl = this.loadDataFromUrl.bind(this);
     this.loadJSON = this.loadJSON.bind(this);
@@ -56,6 +86,11 @@ class NeuralNetworkData {
     this.findEntries = this.findEntries.bind(this);
     this.formatRawData = this.formatRawData.bind(this);
     this.csvToJSON = this.csvToJSON.bind(this);
+    this.getDataFormat = this.getDataFormat.bind(this);
+    this.flattenDataRaw = this.flattenDataRaw.bind(this);
+    this.unflattenDataRaw = this.unflattenDataRaw.bind(this);
+    this.stringifyDataRaw = this.stringifyDataRaw.bind(this);
+    this.parseDataRaw = this.parseDataRaw.bind(this);
   }
 
   /**
@@ -73,14 +108,27 @@ class NeuralNetworkData {
    *  4. getting the inputShape and outputUnits from the data
    * @param {*} dataRaw
    * @param {*} inputShape
+   * @param {*} normalizationOptions - a method for all columns or {columnName: method}
+   * @param {*} sequenceOptions - {length, method} if the inputs are sequences
+   * @param {*} encodingOptions - {columnName: {encoding: 'embedding', dims}}
    */
-  createMetadata(dataRaw, inputShape = null) {
+  createMetadata(
+    dataRaw,
+    inputShape = null,
+    normalizationOptions = null,
+    sequenceOptions = null,
+    encodingOptions = null,
+  ) {
     // get the data type for each property
-    this.getDTypesFromData(dataRaw);
-    // get the stats - min, max
-    this.getDataStats(dataRaw);
-    // onehot encode
-    this.getDataOneHot(dataRaw);
+    this.getDTypesFromData(dataRaw, sequenceOptions !== null);
+    // get the length all sequences are resized to
+    if (sequenceOptions !== null) {
+      this.getSequenceMeta(dataRaw, sequenceOptions);
+    }
+    // get the stats - min, max and those of the normalization method
+    this.getDataStats(dataRaw, normalizationOptions);
+    // onehot encode, or create the vocabulary of embedded inputs
+    this.getDataOneHot(dataRaw, encodingOptions);
     // calculate the input units from the data
     this.getDataUnits(dataRaw, inputShape);
 
@@ -97,12 +145,13 @@ class NeuralNetworkData {
   /**
    * get stats about the data
    * @param {*} dataRaw
+   * @param {*} normalizationOptions
    */
-  getDataStats(dataRaw) {
+  getDataStats(dataRaw, normalizationOptions = null) {
     const meta = Object.assign({}, this.meta);
 
-    const inputMeta = this.getInputMetaStats(dataRaw, meta.inputs, 'xs');
-    const outputMeta = this.getInputMetaStats(dataRaw, meta.outputs, 'ys');
+    const inputMeta = this.getInputMetaStats(dataRaw, meta.inputs, 'xs', normalizationOptions);
+    const outputMeta = this.getInputMetaStats(dataRaw, meta.outputs, 'ys', normalizationOptions);
 
     meta.inputs = inputMeta;
     meta.outputs = outputMeta;
@@ -117,33 +166,78 @@ class NeuralNetworkData {
 
   /**
    * getRawStats
-   * get back the min and max of each label
+   * get back the min and max of each label along with
+   * the statistics needed by its normalization method
    * @param {*} dataRaw
    * @param {*} inputOrOutputMeta
    * @param {*} xsOrYs
+   * @param {*} normalizationOptions
    */
   // eslint-disable-next-line no-unused-vars, class-methods-use-this
-  getInputMetaStats(dataRaw, inputOrOutputMeta, xsOrYs) {
+  getInputMetaStats(dataRaw, inputOrOutputMeta, xsOrYs, normalizationOptions = null) {
     const inputMeta = Object.assign({}, inputOrOutputMeta);
 
     Object.keys(inputMeta).forEach(k => {
-      if (inputMeta[k].dtype === 'string') {
+      let dataAsArray;
+      if (inputMeta[k].dtype === 'string' || inputMeta[k].dtype === 'multiLabel') {
         inputMeta[k].min = 0;
         inputMeta[k].max = 1;
       } else if (inputMeta[k].dtype === 'number') {
-        const dataAsArray = dataRaw.map(item => item[xsOrYs][k]);
-        inputMeta[k].min = nnUtils.getMin(dataAsArray);
-        inputMeta[k].max = nnUtils.getMax(dataAsArray);
-      } else if (inputMeta[k].dtype === 'array') {
-        const dataAsArray = dataRaw.map(item => item[xsOrYs][k]).flat();
+        dataAsArray = dataRaw.map(item => item[xsOrYs][k]);
+      } else if (inputMeta[k].dtype === 'array' || inputMeta[k].dtype === 'sequence') {
+        // the values of all frames of a sequence share their statistics
+        dataAsArray = dataRaw.map(item => item[xsOrYs][k]).flat();
+      }
+
+      if (dataAsArray) {
         inputMeta[k].min = nnUtils.getMin(dataAsArray);
         inputMeta[k].max = nnUtils.getMax(dataAsArray);
+
+        const method =
+          typeof normalizationOptions === 'string'
+            ? normalizationOptions
+            : (normalizationOptions && normalizationOptions[k]) || 'minmax';
+        inputMeta[k] = {
+          ...inputMeta[k],
+          ...this.getNormalizationStats(dataAsArray, method),
+        };
       }
     });
 
     return inputMeta;
   }
 
+  /**
+   * returns the normalization method and the statistics it needs
+   * @param {*} dataAsArray
+   * @param {*} method - 'minmax', 'zscore', 'robust', 'log-minmax' or 'none'
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getNormalizationStats(dataAsArray, method) {
+    switch (method) {
+      case 'minmax':
+      case 'log-minmax':
+      case 'none':
+        return { normalization: method };
+      case 'zscore':
+        return {
+          normalization: method,
+          mean: nnUtils.getMean(dataAsArray),
+          std: nnUtils.getStandardDeviation(dataAsArray),
+        };
+      case 'robust':
+        return {
+          normalization: method,
+          median: nnUtils.getQuantile(dataAsArray, 0.5),
+          iqr: nnUtils.getQuantile(dataAsArray, 0.75) - nnUtils.getQuantile(dataAsArray, 0.25),
+        };
+      default:
+        throw new Error(
+          `${method} is not a supported normalization method. Use 'minmax', 'zscore', 'robust', 'log-minmax' or 'none'`,
+        );
+    }
+  }
+
   /**
    * get the data units, inputshape and output units
    * @param {*} dataRaw
@@ -154,8 +248,12 @@ class NeuralNetworkData {
 
     // if the data has a shape pass it in
     let inputShape;
+    const sequenceInputs = Object.values(meta.inputs).filter(item => item.dtype === 'sequence');
     if (arrayShape) {
       inputShape = arrayShape;
+    } else if (sequenceInputs.length > 0) {
+      // sequences are shaped as [frames, features]
+      inputShape = [sequenceInputs[0].sequenceLength, sequenceInputs.length];
     } else {
       inputShape = [this.getInputMetaUnits(dataRaw, meta.inputs)].flat();
     }
@@ -187,7 +285,10 @@ class NeuralNetworkData {
       const { dtype } = arr[1];
       if (dtype === 'number') {
         units += 1;
-      } else if (dtype === 'string') {
+      } else if (arr[1].vocabulary) {
+        // embedded inputs are a single index into their vocabulary
+        units += 1;
+      } else if (dtype === 'string' || dtype === 'multiLabel') {
         const { uniqueValues } = arr[1];
 
         const uniqueCount = uniqueValues.length;
@@ -206,8 +307,10 @@ class NeuralNetworkData {
    * getDTypesFromData
    * gets the data types of the data we're using
    * important for handling oneHot
+   * @param {*} _dataRaw
+   * @param {*} isSequence - whether the inputs are sequences of numbers
    */
-  getDTypesFromData(_dataRaw) {
+  getDTypesFromData(_dataRaw, isSequence = false) {
     const meta = {
       ...this.meta,
       inputs: {},
@@ -218,15 +321,41 @@ class NeuralNetworkData {
     const xs = Object.keys(sample.xs);
     const ys = Object.keys(sample.ys);
 
+    // a blank in the first row should not decide the dtype
+    // so the first value which is not missing is used
+    const getSampleValue = (xsOrYs, prop) => {
+      const row = _dataRaw.find(item => !nnUtils.isMissingValue(item[xsOrYs][prop]));
+      return row ? row[xsOrYs][prop] : sample[xsOrYs][prop];
+    };
+
     xs.forEach(prop => {
+      let dtype = nnUtils.getDataType(getSampleValue('xs', prop));
+      if (isSequence) {
+        if (dtype !== 'array') {
+          throw new Error(`the input ${prop} must be a sequence of numbers, one for each frame`);
+        }
+        dtype = 'sequence';
+      }
       meta.inputs[prop] = {
-        dtype: nnUtils.getDataType(sample.xs[prop]),
+        dtype,
       };
     });
 
     ys.forEach(prop => {
+      let dtype = nnUtils.getDataType(getSampleValue('ys', prop));
+      // outputs with arrays of labels, e.g. ['loud', 'percussive'],
+      // are multi label outputs which are encoded as multi hot arrays
+      if (
+        dtype === 'array' &&
+        _dataRaw.some(
+          item =>
+            Array.isArray(item.ys[prop]) && item.ys[prop].some(val => typeof val === 'string'),
+        )
+      ) {
+        dtype = 'multiLabel';
+      }
       meta.outputs[prop] = {
-        dtype: nnUtils.getDataType(sample.ys[prop]),
+        dtype,
       };
     });
 
@@ -238,6 +367,57 @@ class NeuralNetworkData {
     return meta;
   }
 
+  /**
+   * adds the length all sequences are resized to and the method to
+   * resize them with to the metadata of each input. all inputs get
+   * the same length, which defaults to the longest sequence
+   * @param {*} dataRaw
+   * @param {*} sequenceOptions - {length, method}
+   */
+  getSequenceMeta(dataRaw, sequenceOptions) {
+    const { length, method } = {
+      length: null,
+      method: 'resample',
+      ...sequenceOptions,
+    };
+    const inputs = { ...this.meta.inputs };
+    const labels = Object.keys(inputs);
+
+    const sequenceLength =
+      length || nnUtils.getMax(dataRaw.map(row => nnUtils.getMax(labels.map(k => row.xs[k].length))));
+
+    labels.forEach(k => {
+      inputs[k] = {
+        ...inputs[k],
+        sequenceLength,
+        resize: method,
+      };
+    });
+
+    this.meta = {
+      ...this.meta,
+      inputs,
+    };
+
+    return this.meta;
+  }
+
+  /**
+   * returns whether the model needs an output layer for each output.
+   * this is the case for several outputs where at least one is a class
+   * label, since numeric outputs alone can share one output layer
+   * @param {*} _meta
+   */
+  isMultiHead(_meta = null) {
+    const meta = _meta === null ? this.meta : _meta;
+    const outputs = Object.values(meta.outputs);
+
+    return (
+      outputs.length > 1 &&
+      outputs.some(outputMeta => outputMeta.dtype === 'string' || outputMeta.dtype === 'multiLabel')
+    );
+  }
+
   /**
    * ////////////////////////////////////////////////////////
    * Add Data
@@ -256,6 +436,465 @@ class NeuralNetworkData {
     });
   }
 
+  /**
+   * ////////////////////////////////////////////////////////
+   * Missing values
+   * ////////////////////////////////////////////////////////
+   */
+
+  /**
+   * returns the input and output labels used in any row,
+   * rows added as objects do not need to share their keys
+   * @param {*} dataRaw
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getColumnLabels(dataRaw) {
+    const xs = new Set();
+    const ys = new Set();
+    dataRaw.forEach(row => {
+      Object.keys(row.xs).forEach(k => xs.add(k));
+      Object.keys(row.ys).forEach(k => ys.add(k));
+    });
+    return { xs: [...xs], ys: [...ys] };
+  }
+
+  /**
+   * lists the rows and columns with missing values
+   * returns {count, rows: [rowIndex], columns: {label: [rowIndex]}}
+   * @param {*} dataRaw
+   */
+  getMissingValuesReport(dataRaw) {
+    const labels = this.getColumnLabels(dataRaw);
+    const rows = new Set();
+    const columns = {};
+    let count = 0;
+
+    dataRaw.forEach((row, idx) => {
+      ['xs', 'ys'].forEach(xsOrYs => {
+        labels[xsOrYs].forEach(k => {
+          if (nnUtils.isMissingValue(row[xsOrYs][k])) {
+            if (!columns[k]) columns[k] = [];
+            columns[k].push(idx);
+            rows.add(idx);
+            count += 1;
+          }
+        });
+      });
+    });
+
+    return {
+      count,
+      rows: [...rows],
+      columns,
+    };
+  }
+
+  /**
+   * applies a missing value policy to the data and returns the cleaned rows:
+   *  - 'drop': removes the rows with missing values
+   *  - 'mean' / 'median': imputes the mean or median of a number column,
+   *    string and array columns are imputed with their most frequent value
+   *  - 'mode': imputes the most frequent value of the column
+   *  - {constant: value}: imputes the given value or {constant: {label: value}} per column
+   * outputs are never imputed: 'drop' removes the rows with missing outputs,
+   * the other policies throw an error listing them, so that the data never
+   * shrinks without notice.
+   * imputedValues, e.g. those of the training data kept in the metadata,
+   * are imputed instead of the values of dataRaw itself
+   * @param {*} dataRaw
+   * @param {*} policy
+   * @param {*} imputedValues - {label: value}
+   */
+  handleMissingValues(dataRaw, policy, imputedValues = {}) {
+    const isConstant = policy instanceof Object && 'constant' in policy;
+    if (!['drop', 'mean', 'median', 'mode'].includes(policy) && !isConstant) {
+      throw new Error(
+        `${JSON.stringify(policy)} is not a missing value policy. Use 'drop', 'mean', 'median', 'mode' or {constant: value}`,
+      );
+    }
+
+    const labels = this.getColumnLabels(dataRaw);
+    const hasMissingValues = (row, xsOrYs) =>
+      labels[xsOrYs].some(k => nnUtils.isMissingValue(row[xsOrYs][k]));
+
+    if (policy === 'drop') {
+      return dataRaw.filter(row => !hasMissingValues(row, 'ys') && !hasMissingValues(row, 'xs'));
+    }
+
+    const missingOutputRows = dataRaw
+      .map((row, idx) => (hasMissingValues(row, 'ys') ? idx : null))
+      .filter(idx => idx !== null);
+    if (missingOutputRows.length > 0) {
+      const listedRows =
+        missingOutputRows.length > 10
+          ? [...missingOutputRows.slice(0, 10), '...']
+          : missingOutputRows;
+      throw new Error(
+        `${missingOutputRows.length} rows have missing outputs (rows ${listedRows.join(', ')}), which can not be imputed. Remove them or set the missingValues option to 'drop'`,
+      );
+    }
+    const rows = dataRaw;
+
+    const missingLabels = labels.xs.filter(k =>
+      rows.some(row => nnUtils.isMissingValue(row.xs[k])),
+    );
+    const values = {};
+    missingLabels.forEach(k => {
+      if (imputedValues[k] !== undefined) {
+        values[k] = imputedValues[k];
+      } else {
+        values[k] = isConstant
+          ? this.getConstantValue(policy.constant, k)
+          : this.getImputedValue(rows, k, policy);
+      }
+    });
+
+    return rows.map(row => {
+      const xs = { ...row.xs };
+      missingLabels.forEach(k => {
+        if (nnUtils.isMissingValue(xs[k])) xs[k] = values[k];
+      });
+      return { xs, ys: row.ys };
+    });
+  }
+
+  /**
+   * returns the value a missing value policy imputes for each input
+   * column of the data, so the values of the training data can be kept
+   * and imputed into the evaluation data and inputs of predictions
+   * @param {*} dataRaw
+   * @param {*} policy - 'mean', 'median', 'mode' or {constant: value}
+   */
+  getImputedValues(dataRaw, policy) {
+    const isConstant = policy instanceof Object && 'constant' in policy;
+    if (!['mean', 'median', 'mode'].includes(policy) && !isConstant) {
+      return {};
+    }
+
+    const imputedValues = {};
+    this.getColumnLabels(dataRaw).xs.forEach(k => {
+      if (isConstant) {
+        const constant =
+          policy.constant instanceof Object && !Array.isArray(policy.constant)
+            ? policy.constant[k]
+            : policy.constant;
+        if (!nnUtils.isMissingValue(constant)) imputedValues[k] = constant;
+      } else if (dataRaw.some(row => !nnUtils.isMissingValue(row.xs[k]))) {
+        imputedValues[k] = this.getImputedValue(dataRaw, k, policy);
+      }
+    });
+    return imputedValues;
+  }
+
+  /**
+   * returns the constant to impute for an input column, the constant
+   * is either one value or an object with a value for each column
+   * @param {*} constant
+   * @param {*} label
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getConstantValue(constant, label) {
+    const value =
+      constant instanceof Object && !Array.isArray(constant) ? constant[label] : constant;
+
+    if (nnUtils.isMissingValue(value)) {
+      throw new Error(`there is no constant to impute the missing values of the input ${label}`);
+    }
+    return value;
+  }
+
+  /**
+   * returns the value to impute for the missing values of an input column
+   * @param {*} dataRaw
+   * @param {*} label
+   * @param {*} policy - 'mean', 'median' or 'mode'
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getImputedValue(dataRaw, label, policy) {
+    const values = dataRaw
+      .map(row => row.xs[label])
+      .filter(val => !nnUtils.isMissingValue(val));
+
+    if (values.length === 0) {
+      throw new Error(`the input ${label} has no values to impute its missing values with`);
+    }
+
+    if (policy === 'mode' || !values.every(val => typeof val === 'number')) {
+      return nnUtils.getMode(values);
+    }
+    return policy === 'mean' ? nnUtils.getMean(values) : nnUtils.getQuantile(values, 0.5);
+  }
+
+  /**
+   * summarizes each input and output column of the data:
+   *  - all columns: dtype and the number of missing values
+   *  - number columns: min, max and mean
+   *  - string columns: the number of rows of each value
+   *  - array columns: min and max of the values and the array lengths
+   * @param {*} dataRaw
+   */
+  getDataSummary(dataRaw) {
+    const labels = this.getColumnLabels(dataRaw);
+
+    const summarize = (xsOrYs, k) => {
+      const values = dataRaw
+        .map(row => row[xsOrYs][k])
+        .filter(val => !nnUtils.isMissingValue(val));
+      const summary = {
+        dtype: values.length > 0 ? nnUtils.getDataType(values[0]) : 'undefined',
+        missing: dataRaw.length - values.length,
+      };
+
+      if (summary.dtype === 'number') {
+        summary.min = nnUtils.getMin(values);
+        summary.max = nnUtils.getMax(values);
+        summary.mean = nnUtils.getMean(values);
+      } else if (summary.dtype === 'string') {
+        summary.counts = {};
+        values.forEach(val => {
+          summary.counts[val] = (summary.counts[val] || 0) + 1;
+        });
+      } else if (summary.dtype === 'array') {
+        const flat = values.flat();
+        summary.min = nnUtils.getMin(flat);
+        summary.max = nnUtils.getMax(flat);
+        summary.lengths = [...new Set(values.map(val => val.length))];
+      }
+      return summary;
+    };
+
+    const inputs = {};
+    const outputs = {};
+    labels.xs.forEach(k => {
+      inputs[k] = summarize('xs', k);
+    });
+    labels.ys.forEach(k => {
+      outputs[k] = summarize('ys', k);
+    });
+
+    return {
+      count: dataRaw.length,
+      inputs,
+      outputs,
+    };
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////
+   * Data splitting
+   * ////////////////////////////////////////////////////////
+   */
+
+  /**
+   * groupIndicesByClass
+   * groups the shuffled row indices by the string output values
+   * so that splits keep the class proportions of the data.
+   * rows without a string output (e.g. regression) share one group
+   * @param {*} dataRaw
+   */
+  // eslint-disable-next-line class-methods-use-this
+  groupIndicesByClass(dataRaw) {
+    const groups = {};
+
+    dataRaw.forEach((row, idx) => {
+      const classLabels = Object.keys(row.ys).filter(k => typeof row.ys[k] === 'string');
+      const key = JSON.stringify(classLabels.map(k => row.ys[k]));
+
+      if (!groups[key]) groups[key] = [];
+      groups[key].push(idx);
+    });
+
+    return Object.values(groups).map(indices => randomSample(indices, indices.length));
+  }
+
+  /**
+   * getSplitIndices
+   * returns the row indices of a stratified training, validation and test split
+   * @param {*} dataRaw
+   * @param {*} options - {validationSplit, testSplit}
+   */
+  getSplitIndices(dataRaw, options = {}) {
+    const { validationSplit = 0.1, testSplit = 0 } = options;
+
+    if (validationSplit < 0 || testSplit < 0 || validationSplit + testSplit >= 1) {
+      throw new Error('validationSplit and testSplit must be positive and add up to less than 1');
+    }
+
+    const split = {
+      training: [],
+      validation: [],
+      test: [],
+    };
+
+    this.groupIndicesByClass(dataRaw).forEach(indices => {
+      const validationCount = Math.round(indices.length * validationSplit);
+      const testCount = Math.round(indices.length * testSplit);
+
+      split.validation.push(...indices.slice(0, validationCount));
+      split.test.push(...indices.slice(validationCount, validationCount + testCount));
+      split.training.push(...indices.slice(validationCount + testCount));
+    });
+
+    return split;
+  }
+
+  /**
+   * splitData
+   * returns a stratified training, validation and test split of the data
+   * @param {*} dataRaw
+   * @param {*} options - {validationSplit, testSplit}
+   */
+  splitData(dataRaw, options = {}) {
+    const { training, validation, test } = this.getSplitIndices(dataRaw, options);
+
+    return {
+      training: training.map(idx => dataRaw[idx]),
+      validation: validation.map(idx => dataRaw[idx]),
+      test: test.map(idx => dataRaw[idx]),
+    };
+  }
+
+  /**
+   * createFolds
+   * returns the row indices of k stratified folds
+   * each fold is used once as the test set
+   * @param {*} dataRaw
+   * @param {*} k
+   */
+  createFolds(dataRaw, k) {
+    if (k < 2 || k > dataRaw.length) {
+      throw new Error(`the number of folds must be between 2 and the number of rows (${dataRaw.length})`);
+    }
+
+    const foldIndices = [...new Array(k)].map(() => []);
+
+    // deal the rows of each class out to the folds in turn
+    let counter = 0;
+    this.groupIndicesByClass(dataRaw).forEach(indices => {
+      indices.forEach(idx => {
+        foldIndices[counter % k].push(idx);
+        counter += 1;
+      });
+    });
+
+    return foldIndices.map((test, foldIdx) => {
+      const training = foldIndices.filter((fold, idx) => idx !== foldIdx).flat();
+      return {
+        training,
+        test,
+      };
+    });
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////
+   * Class balancing
+   * ////////////////////////////////////////////////////////
+   */
+
+  /**
+   * returns the label and onehot legend of the first
+   * classification output in the metadata
+   */
+  getClassOutput() {
+    const classOutput = Object.entries(this.meta.outputs).find(
+      ([, outputMeta]) => outputMeta.dtype === 'string' && outputMeta.legend,
+    );
+    if (!classOutput) {
+      throw new Error('class weights and resampling need an output with class labels');
+    }
+
+    const [label, { legend }] = classOutput;
+    return { label, legend };
+  }
+
+  /**
+   * returns the number of rows of each class in the legend
+   * @param {*} dataRaw
+   */
+  getClassCounts(dataRaw) {
+    const { label, legend } = this.getClassOutput();
+    const counts = {};
+    Object.keys(legend).forEach(k => {
+      counts[k] = 0;
+    });
+
+    dataRaw.forEach(row => {
+      counts[row.ys[label]] += 1;
+    });
+    return counts;
+  }
+
+  /**
+   * returns the class weights for model.fit() as {classIndex: weight}
+   * where the class index is the position of the 1 in its onehot encoding.
+   * 'balanced' weighs each class by rows / (classes * classRows),
+   * otherwise the weights are given as {classLabel: weight}
+   * and the classes that are left out have a weight of 1
+   * @param {*} dataRaw
+   * @param {*} classWeights - 'balanced' or {classLabel: weight}
+   */
+  getClassWeights(dataRaw, classWeights) {
+    const { legend } = this.getClassOutput();
+
+    let weights;
+    if (classWeights === 'balanced') {
+      const counts = Object.entries(this.getClassCounts(dataRaw)).filter(([, count]) => count > 0);
+      weights = {};
+      counts.forEach(([k, count]) => {
+        weights[k] = dataRaw.length / (counts.length * count);
+      });
+    } else if (classWeights instanceof Object) {
+      Object.keys(classWeights).forEach(k => {
+        if (!legend[k]) {
+          throw new Error(`the class weight label ${k} is not one of the labels in the data`);
+        }
+      });
+      weights = classWeights;
+    } else {
+      throw new Error("classWeights must be 'balanced' or an object of {classLabel: weight}");
+    }
+
+    const classWeight = {};
+    Object.keys(legend).forEach(k => {
+      classWeight[legend[k].indexOf(1)] = weights[k] === undefined ? 1 : weights[k];
+    });
+    return classWeight;
+  }
+
+  /**
+   * resamples the given row indices so that each class has as many rows as the largest
+   * class by repeating random rows ('oversample') or as few rows as the smallest class
+   * by leaving out random rows ('undersample')
+   * @param {*} dataRaw
+   * @param {*} indices
+   * @param {*} method - 'oversample' or 'undersample'
+   */
+  resampleIndices(dataRaw, indices, method) {
+    if (method !== 'oversample' && method !== 'undersample') {
+      throw new Error(`${method} is not a resampling method. Use 'oversample' or 'undersample'`);
+    }
+
+    const { label } = this.getClassOutput();
+    const groups = {};
+    indices.forEach(idx => {
+      const k = dataRaw[idx].ys[label];
+      if (!groups[k]) groups[k] = [];
+      groups[k].push(idx);
+    });
+
+    const sizes = Object.values(groups).map(group => group.length);
+    const targetSize = method === 'oversample' ? Math.max(...sizes) : Math.min(...sizes);
+
+    return Object.values(groups)
+      .map(group =>
+        method === 'oversample'
+          ? [...group, ...randomSample(group, targetSize - group.length, true)]
+          : randomSample(group, targetSize),
+      )
+      .flat();
+  }
+
   /**
    * ////////////////////////////////////////////////////////
    * Tensor handling
@@ -264,7 +903,8 @@ class NeuralNetworkData {
 
   /**
    * convertRawToTensors
-   * converts array of {xs, ys} to tensors
+   * converts array of {xs, ys} to tensors. models with an output
+   * layer for each output get an array with a tensor for each output
    * @param {*} _dataRaw
    * @param {*} meta
    */
@@ -279,12 +919,18 @@ class NeuralNetworkData {
 
       dataRaw.forEach(row => {
         // get xs
-        const xs = Object.keys(meta.inputs)
+        let xs = Object.keys(meta.inputs)
           .map(k => {
             return row.xs[k];
           })
           .flat();
 
+        // sequences are ordered by frame, then by feature
+        if (Object.values(meta.inputs).some(item => item.dtype === 'sequence')) {
+          const sequences = Object.keys(meta.inputs).map(k => row.xs[k]);
+          xs = sequences[0].map((v, frame) => sequences.map(sequence => sequence[frame])).flat();
+        }
+
         inputArr.push(xs);
 
         // get ys
@@ -298,7 +944,9 @@ class NeuralNetworkData {
       });
 
       const inputs = tf.tensor(inputArr.flat(), [dataLength, ...meta.inputUnits]);
-      const outputs = tf.tensor(outputArr.flat(), [dataLength, meta.outputUnits]);
+      const outputs = this.isMultiHead(meta)
+        ? Object.keys(meta.outputs).map(k => tf.tensor2d(dataRaw.map(row => [row.ys[k]].flat())))
+        : tf.tensor(outputArr.flat(), [dataLength, meta.outputUnits]);
 
       return {
         inputs,
@@ -307,6 +955,31 @@ class NeuralNetworkData {
     });
   }
 
+  /**
+   * resizes a sequence to the given length. 'resample' interpolates
+   * between the values, 'pad' cuts longer sequences and repeats the
+   * last value of shorter ones
+   * @param {*} values
+   * @param {*} length
+   * @param {*} method - 'resample' or 'pad'
+   */
+  // eslint-disable-next-line class-methods-use-this
+  resizeSequence(values, length, method = 'resample') {
+    switch (method) {
+      case 'pad':
+        return [...new Array(length)].map((v, idx) => values[Math.min(idx, values.length - 1)]);
+      case 'resample':
+        return [...new Array(length)].map((v, idx) => {
+          const position = length > 1 ? (idx * (values.length - 1)) / (length - 1) : 0;
+          const lower = Math.floor(position);
+          const upper = Math.ceil(position);
+          return values[lower] + (values[upper] - values[lower]) * (position - lower);
+        });
+      default:
+        throw new Error(`${method} is not a supported method to resize sequences. Use 'resample' or 'pad'`);
+    }
+  }
+
   /**
    * ////////////////////////////////////////////////////////
    * data normalization / unnormalization
@@ -344,21 +1017,28 @@ class NeuralNetworkData {
     // normalized output object
     const normalized = {};
     Object.keys(inputMeta).forEach(k => {
-      // get the min and max values
-      const options = {
-        min: inputMeta[k].min,
-        max: inputMeta[k].max,
-      };
+      // get the min and max values along with the
+      // normalization method and its statistics
+      const { legend, uniqueValues, ...options } = inputMeta[k];
 
       const dataAsArray = dataRaw.map(item => item[xsOrYs][k]);
       // depending on the input type, normalize accordingly
-      if (inputMeta[k].dtype === 'string') {
-        options.legend = inputMeta[k].legend;
+      if (inputMeta[k].vocabulary) {
+        // the indices of embedded inputs are not normalized
+        normalized[k] = dataAsArray.map(v => this.lookupVocabulary(v, inputMeta[k].vocabulary));
+      } else if (inputMeta[k].dtype === 'string') {
+        options.legend = legend;
         normalized[k] = this.normalizeArray(dataAsArray, options);
+      } else if (inputMeta[k].dtype === 'multiLabel') {
+        normalized[k] = dataAsArray.map(labels => this.encodeMultiLabel(labels, legend));
       } else if (inputMeta[k].dtype === 'number') {
         normalized[k] = this.normalizeArray(dataAsArray, options);
       } else if (inputMeta[k].dtype === 'array') {
         normalized[k] = dataAsArray.map(item => this.normalizeArray(item, options));
+      } else if (inputMeta[k].dtype === 'sequence') {
+        normalized[k] = dataAsArray.map(item =>
+          this.normalizeArray(this.resizeSequence(item, options.sequenceLength, options.resize), options),
+        );
       }
     });
 
@@ -385,8 +1065,6 @@ class NeuralNetworkData {
    */
   // eslint-disable-next-line no-unused-vars, class-methods-use-this
   normalizeArray(inputArray, options) {
-    const { min, max } = options;
-
     // if the data are onehot encoded, replace the string
     // value with the onehot array
     // if none exists, return the given value
@@ -399,7 +1077,7 @@ class NeuralNetworkData {
 
     // if the dtype is a number
     if (inputArray.every(v => typeof v === 'number')) {
-      const normalized = inputArray.map(v => nnUtils.normalizeValue(v, min, max));
+      const normalized = inputArray.map(v => nnUtils.normalizeValueByMethod(v, options));
       return normalized;
     }
 
@@ -415,8 +1093,6 @@ class NeuralNetworkData {
    */
   // eslint-disable-next-line no-unused-vars, class-methods-use-this
   unnormalizeArray(inputArray, options) {
-    const { min, max } = options;
-
     // if the data is onehot encoded then remap the
     // values from those oneHot arrays
     if (options.legend) {
@@ -436,7 +1112,7 @@ class NeuralNetworkData {
 
     // if the dtype is a number
     if (inputArray.every(v => typeof v === 'number')) {
-      const unnormalized = inputArray.map(v => nnUtils.unnormalizeValue(v, min, max));
+      const unnormalized = inputArray.map(v => nnUtils.unnormalizeValueByMethod(v, options));
       return unnormalized;
     }
 
@@ -470,13 +1146,20 @@ class NeuralNetworkData {
       };
       // get xs
       Object.keys(meta.inputs).forEach(k => {
-        if (meta.inputs[k].legend) {
+        if (meta.inputs[k].vocabulary) {
+          xs[k] = this.lookupVocabulary(row.xs[k], meta.inputs[k].vocabulary);
+        } else if (meta.inputs[k].legend) {
           xs[k] = meta.inputs[k].legend[row.xs[k]];
+        } else if (meta.inputs[k].dtype === 'sequence') {
+          const { sequenceLength, resize } = meta.inputs[k];
+          xs[k] = this.resizeSequence(row.xs[k], sequenceLength, resize);
         }
       });
 
       Object.keys(meta.outputs).forEach(k => {
-        if (meta.outputs[k].legend) {
+        if (meta.outputs[k].dtype === 'multiLabel') {
+          ys[k] = this.encodeMultiLabel(row.ys[k], meta.outputs[k].legend);
+        } else if (meta.outputs[k].legend) {
           ys[k] = meta.outputs[k].legend[row.ys[k]];
         }
       });
@@ -495,11 +1178,12 @@ class NeuralNetworkData {
    * creates onehot encodings for the input and outputs
    * and adds them to the meta info
    * @param {*} dataRaw
+   * @param {*} encodingOptions - {columnName: {encoding: 'embedding', dims}}
    */
-  getDataOneHot(dataRaw) {
+  getDataOneHot(dataRaw, encodingOptions = null) {
     const meta = Object.assign({}, this.meta);
 
-    const inputMeta = this.getInputMetaOneHot(dataRaw, meta.inputs, 'xs');
+    const inputMeta = this.getInputMetaOneHot(dataRaw, meta.inputs, 'xs', encodingOptions);
     const outputMeta = this.getInputMetaOneHot(dataRaw, meta.outputs, 'ys');
 
     meta.inputs = inputMeta;
@@ -518,8 +1202,9 @@ class NeuralNetworkData {
    * @param {*} _inputsMeta
    * @param {*} _dataRaw
    * @param {*} xsOrYs
+   * @param {*} encodingOptions - {columnName: {encoding: 'embedding', dims}}
    */
-  getInputMetaOneHot(_dataRaw, _inputsMeta, xsOrYs) {
+  getInputMetaOneHot(_dataRaw, _inputsMeta, xsOrYs, encodingOptions = null) {
     const inputsMeta = Object.assign({}, _inputsMeta);
 
     Object.entries(inputsMeta).forEach(arr => {
@@ -527,9 +1212,20 @@ class NeuralNetworkData {
       const key = arr[0];
       // the value
       const { dtype } = arr[1];
+      const encoding = (encodingOptions && encodingOptions[key]) || {};
 
-      if (dtype === 'string') {
-        const uniqueVals = [...new Set(_dataRaw.map(obj => obj[xsOrYs][key]))];
+      if (encoding.encoding === 'embedding') {
+        // inputs with many unique values, like ids or zip codes, are
+        // looked up in a vocabulary rather than onehot encoded
+        inputsMeta[key] = {
+          ...inputsMeta[key],
+          ...this.createVocabulary(_dataRaw.map(obj => obj[xsOrYs][key])),
+          encoding: 'embedding',
+          dims: encoding.dims || 8,
+        };
+      } else if (dtype === 'string' || dtype === 'multiLabel') {
+        // each label of a multi label output gets its own position
+        const uniqueVals = [...new Set(_dataRaw.map(obj => obj[xsOrYs][key]).flat())];
         const oneHotMeta = this.createOneHotEncodings(uniqueVals);
         inputsMeta[key] = {
           ...inputsMeta[key],
@@ -541,6 +1237,51 @@ class NeuralNetworkData {
     return inputsMeta;
   }
 
+  /**
+   * encodes an array of labels as a multi hot array, which
+   * has a 1 at the position of each label of the legend that is given
+   * @param {*} labels
+   * @param {*} legend
+   */
+  // eslint-disable-next-line class-methods-use-this
+  encodeMultiLabel(labels, legend) {
+    const labelsArray = [].concat(labels);
+    return Object.keys(legend).map(k => (labelsArray.includes(k) ? 1 : 0));
+  }
+
+  /**
+   * returns a vocabulary mapping each unique value to an index.
+   * the index 0 is kept for values which are not in the vocabulary.
+   * values are compared as strings, so a zip code is the same
+   * whether it was added as a number or a string
+   * @param {*} values
+   */
+  // eslint-disable-next-line class-methods-use-this
+  createVocabulary(values) {
+    const uniqueValues = [...new Set(values.map(value => String(value)))];
+    const vocabulary = {};
+    uniqueValues.forEach((value, idx) => {
+      vocabulary[value] = idx + 1;
+    });
+
+    return {
+      uniqueValues,
+      vocabulary,
+    };
+  }
+
+  /**
+   * returns the index of a value in the vocabulary
+   * or 0 if it is not in the vocabulary
+   * @param {*} value
+   * @param {*} vocabulary
+   */
+  // eslint-disable-next-line class-methods-use-this
+  lookupVocabulary(value, vocabulary) {
+    const key = String(value);
+    return Object.prototype.hasOwnProperty.call(vocabulary, key) ? vocabulary[key] : 0;
+  }
+
   /**
    * Returns a legend mapping the
    * data values to oneHot encoded values
@@ -581,17 +1322,18 @@ class NeuralNetworkData {
    * @param {*} dataUrl
    * @param {*} inputs
    * @param {*} outputs
+   * @param {*} csvOptions - {delimiter, headers, hasHeader, inferTypes, decimal}
    */
-  async loadDataFromUrl(dataUrl, inputs, outputs) {
+  async loadDataFromUrl(dataUrl, inputs, outputs, csvOptions = {}) {
     try {
       let result;
 
       if (dataUrl.endsWith('.csv')) {
-        result = await this.loadCSV(dataUrl, inputs, outputs);
+        result = await this.loadCSV(dataUrl, inputs, outputs, csvOptions);
       } else if (dataUrl.endsWith('.json')) {
         result = await this.loadJSON(dataUrl, inputs, outputs);
       } else if (dataUrl.includes('blob')) {
-        result = await this.loadBlob(dataUrl, inputs, outputs);
+        result = await this.loadBlob(dataUrl, inputs, outputs, csvOptions);
       } else {
         throw new Error('Not a valid data format. Must be csv or json');
       }
@@ -634,11 +1376,11 @@ class NeuralNetworkData {
    * @param {*} _dataUrl
    * @param {*} _inputLabelsArray
    * @param {*} _outputLabelsArray
+   * @param {*} csvOptions - {delimiter, headers, hasHeader, inferTypes, decimal}
    */
-  async loadCSV(dataUrl, inputLabels, outputLabels) {
+  async loadCSV(dataUrl, inputLabels, outputLabels, csvOptions = {}) {
     try {
-      const myCsv = tf.data.csv(dataUrl);
-      const loadedData = await myCsv.toArray();
+      const loadedData = await loadCsv(dataUrl, csvOptions);
       const json = {
         entries: loadedData,
       };
@@ -656,8 +1398,9 @@ class NeuralNetworkData {
    * @param {*} _dataUrlOrJson
    * @param {*} _inputLabelsArray
    * @param {*} _outputLabelsArray
+   * @param {*} csvOptions
    */
-  async loadBlob(dataUrlOrJson, inputLabels, outputLabels) {
+  async loadBlob(dataUrlOrJson, inputLabels, outputLabels, csvOptions = {}) {
     try {
       const {data} = await axios.get(dataUrlOrJson);
       const text = data; // await data.text();
@@ -667,7 +1410,7 @@ class NeuralNetworkData {
         const json = JSON.parse(text);
         result = await this.loadJSON(json, inputLabels, outputLabels);
       } else {
-        const json = this.csvToJSON(text);
+        const json = this.csvToJSON(text, csvOptions);
         result = await this.loadJSON(json, inputLabels, outputLabels);
       }
 
@@ -679,37 +1422,31 @@ class NeuralNetworkData {
   }
 
   /**
-   * loadData from fileinput or path
+   * loadData from fileinput or path.
+   * the format is taken from the file extension: .csv, .ndjson / .jsonl or .json
    * @param {*} filesOrPath
    * @param {*} callback
    */
   async loadData(filesOrPath = null, callback) {
     try {
-      let loadedData;
+      let text;
+      let fileName;
 
       if (typeof filesOrPath !== 'string') {
         const file = filesOrPath[0];
-        const fr = new FileReader();
-        fr.readAsText(file);
-        if (file.name.includes('.json')) {
-          const temp = await file.text();
-          loadedData = JSON.parse(temp);
-        } else {
-          console.log('data must be a json object containing an array called "data" or "entries');
-        }
+        fileName = file.name;
+        text = await file.text();
       } else {
-        loadedData = await axios.get(filesOrPath, {responseType:"text"});
-        const text = JSON.stringify(loadedData.data);
-        if (nnUtils.isJsonOrString(text)) {
-          loadedData = JSON.parse(text);
-        } else {
-          console.log(
-            'Whoops! something went wrong. Either this kind of data is not supported yet or there is an issue with .loadData',
-          );
-        }
+        fileName = filesOrPath;
+        // keep the response as text, it is parsed according to its format
+        const { data } = await axios.get(filesOrPath, {
+          responseType: 'text',
+          transformResponse: res => res,
+        });
+        text = data;
       }
 
-      this.data.raw = this.findEntries(loadedData);
+      this.data.raw = this.parseDataRaw(text, this.getDataFormat(fileName));
 
       // check if a data or entries property exists
       if (!this.data.raw.length > 0) {
@@ -727,8 +1464,9 @@ class NeuralNetworkData {
   /**
    * saveData
    * @param {*} name
+   * @param {*} options - {format: 'json' | 'csv' | 'ndjson'}
    */
-  async saveData(name) {
+  async saveData(name, options = {}) {
     const today = new Date();
     const date = `${String(today.getFullYear())}-${String(today.getMonth() + 1)}-${String(
       today.getDate(),
@@ -741,11 +1479,10 @@ class NeuralNetworkData {
     let dataName = datetime;
     if (name) dataName = name;
 
-    const output = {
-      data: this.data.raw,
-    };
+    const { format = 'json' } = options;
+    const output = this.stringifyDataRaw(this.data.raw, format);
 
-    await saveBlob(JSON.stringify(output), `${dataName}.json`, 'text/plain');
+    await saveBlob(output, `${dataName}.${format}`, 'text/plain');
   }
 
   /**
@@ -809,7 +1546,11 @@ class NeuralNetworkData {
         }),
       );
 
-      const modelMetadata = JSON.parse(files.find(item => item.name === 'metadata').file);
+      const metadataFile = files.find(item => item.name === 'metadata');
+      if (!metadataFile) {
+        throw new Error('the _meta.json file is missing, select it along with the model .json and .weights.bin files');
+      }
+      const modelMetadata = JSON.parse(metadataFile.file);
 
       this.meta = modelMetadata;
     } else if (filesOrPath instanceof Object) {
@@ -821,7 +1562,10 @@ class NeuralNetworkData {
 
       this.meta = modelMetadata;
     } else {
-      const metaPath = `${filesOrPath.substring(0, filesOrPath.lastIndexOf('/'))}/model_meta.json`;
+      // the metadata are saved next to the model as {modelName}_meta.json
+      const metaPath = /\.json($|[?#])/.test(filesOrPath)
+        ? filesOrPath.replace(/\.json(?=$|[?#])/, '_meta.json')
+        : `${filesOrPath.substring(0, filesOrPath.lastIndexOf('/'))}/model_meta.json`;
       let modelMetadata = await axios.get(metaPath);
       modelMetadata = modelMetadata.data;
 
@@ -865,26 +1609,20 @@ class NeuralNetworkData {
     }
 
     // create an array of json objects [{xs,ys}]
-    const result = dataArray.map((item, idx) => {
+    const result = dataArray.map(item => {
       const output = {
         xs: {},
         ys: {},
       };
 
+      // missing labels are kept as undefined so that they show up
+      // in the missing values report and can be dropped or imputed
       inputLabels.forEach(k => {
-        if (item[k] !== undefined) {
-          output.xs[k] = item[k];
-        } else {
-          console.error(`the input label ${k} does not exist at row ${idx}`);
-        }
+        output.xs[k] = item[k];
       });
 
       outputLabels.forEach(k => {
-        if (item[k] !== undefined) {
-          output.ys[k] = item[k];
-        } else {
-          console.error(`the output label ${k} does not exist at row ${idx}`);
-        }
+        output.ys[k] = item[k];
       });
 
       return output;
@@ -898,36 +1636,138 @@ class NeuralNetworkData {
 
   /**
    * csvToJSON
-   * Creates a csv from a string
+   * Creates a json from a csv string
    * @param {*} csv
+   * @param {*} csvOptions - {delimiter, headers, hasHeader, inferTypes, decimal}
    */
-  // via: http://techslides.com/convert-csv-to-json-in-javascript
   // eslint-disable-next-line class-methods-use-this
-  csvToJSON(csv) {
-    // split the string by linebreak
-    const lines = csv.split('\n');
-    const result = [];
-    // get the header row as an array
-    const headers = lines[0].split(',');
-
-    // iterate through every row
-    for (let i = 1; i < lines.length; i += 1) {
-      // create a json object for each row
-      const row = {};
-      // split the current line into an array
-      const currentline = lines[i].split(',');
-
-      // for each header, create a key/value pair
-      headers.forEach((k, idx) => {
-        row[k] = currentline[idx];
+  csvToJSON(csv, csvOptions = {}) {
+    return {
+      entries: parseCsv(csv, csvOptions),
+    };
+  }
+
+  /**
+   * returns the data format from the extension of a file name or path
+   * @param {*} fileName
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getDataFormat(fileName) {
+    const extension = fileName
+      .split(/[?#]/)[0]
+      .split('.')
+      .pop()
+      .toLowerCase();
+
+    if (extension === 'csv') return 'csv';
+    if (extension === 'ndjson' || extension === 'jsonl') return 'ndjson';
+    return 'json';
+  }
+
+  /**
+   * flattens the rows of data.raw into one column per input and output:
+   * {xs: {x: 1, pixels: [0, 1]}, ys: {label: 'a'}} becomes
+   * {'xs.x': 1, 'xs.pixels[0]': 0, 'xs.pixels[1]': 1, 'ys.label:string': 'a'}.
+   * the names of columns with strings end with ':string', so that
+   * labels such as '1' are not read back as numbers
+   * @param {*} dataRaw
+   */
+  // eslint-disable-next-line class-methods-use-this
+  flattenDataRaw(dataRaw) {
+    // a column holds strings if any of its values is a string which is not empty
+    const isString = value => typeof value === 'string' && value.trim() !== '';
+    const stringColumns = new Set();
+    dataRaw.forEach(row => {
+      ['xs', 'ys'].forEach(xsOrYs => {
+        Object.entries(row[xsOrYs]).forEach(([k, value]) => {
+          if ([].concat(value).some(isString)) stringColumns.add(`${xsOrYs}.${k}`);
+        });
+      });
+    });
+
+    return dataRaw.map(row => {
+      const flat = {};
+      ['xs', 'ys'].forEach(xsOrYs => {
+        Object.entries(row[xsOrYs]).forEach(([k, value]) => {
+          const suffix = stringColumns.has(`${xsOrYs}.${k}`) ? STRING_COLUMN_SUFFIX : '';
+          if (Array.isArray(value)) {
+            value.forEach((item, idx) => {
+              flat[`${xsOrYs}.${k}[${idx}]${suffix}`] = item;
+            });
+          } else {
+            flat[`${xsOrYs}.${k}${suffix}`] = value;
+          }
+        });
+      });
+      return flat;
+    });
+  }
+
+  /**
+   * reverses flattenDataRaw(). the rows are parsed without converting
+   * numeric fields, which are converted here unless their column holds strings
+   * @param {*} rows
+   */
+  // eslint-disable-next-line class-methods-use-this
+  unflattenDataRaw(rows) {
+    return rows.map(flat => {
+      const row = { xs: {}, ys: {} };
+      Object.entries(flat).forEach(([column, field]) => {
+        const match = column.match(/^(xs|ys)\.(.+?)(?:\[(\d+)\])?(:string)?$/);
+        if (!match) {
+          throw new Error(`the column ${column} must start with "xs." or "ys."`);
+        }
+
+        const [, xsOrYs, k, idx, isString] = match;
+        const value = isString ? field : inferType(field, '.');
+        if (idx === undefined) {
+          row[xsOrYs][k] = value;
+        } else {
+          if (!row[xsOrYs][k]) row[xsOrYs][k] = [];
+          row[xsOrYs][k][Number(idx)] = value;
+        }
       });
-      // add this to the result array
-      result.push(row);
+      return row;
+    });
+  }
+
+  /**
+   * converts data.raw into a string of the given format
+   * @param {*} dataRaw
+   * @param {*} format - 'json', 'csv' or 'ndjson'
+   */
+  stringifyDataRaw(dataRaw, format) {
+    switch (format) {
+      case 'json':
+        return JSON.stringify({ data: dataRaw });
+      case 'csv':
+        return stringifyCsv(this.flattenDataRaw(dataRaw));
+      case 'ndjson':
+        return dataRaw.map(row => `${JSON.stringify(row)}\n`).join('');
+      default:
+        throw new Error(`${format} is not a supported data format. Use 'json', 'csv' or 'ndjson'`);
     }
+  }
 
-    return {
-      entries: result,
-    };
+  /**
+   * reverses stringifyDataRaw()
+   * @param {*} text
+   * @param {*} format - 'json', 'csv' or 'ndjson'
+   */
+  parseDataRaw(text, format) {
+    switch (format) {
+      case 'json':
+        return this.findEntries(JSON.parse(text));
+      case 'csv':
+        return this.unflattenDataRaw(parseCsv(text, { inferTypes: false }));
+      case 'ndjson':
+        return text
+          .split(/\r?\n/)
+          .filter(line => line.trim() !== '')
+          .map(line => JSON.parse(line));
+      default:
+        throw new Error(`${format} is not a supported data format. Use 'json', 'csv' or 'ndjson'`);
+    }
   }
 
   /**
@@ -0,0 +1,50 @@
+import * as tf from '@tensorflow/tfjs';
+
+/**
+ * Custom layers which can be used in the layer
+ * graphs of functional models
+ */
+
+/**
+ * selects some of the units of the input, e.g. the onehot
+ * encoded units of the columns given to an input node.
+ * it is registered so that saved models can be loaded again
+ */
+class SelectUnits extends tf.layers.Layer {
+  constructor(config) {
+    super(config);
+    this.indices = config.indices;
+  }
+
+  computeOutputShape(inputShape) {
+    return [inputShape[0], this.indices.length];
+  }
+
+  call(inputs) {
+    return tf.tidy(() => {
+      const input = Array.isArray(inputs) ? inputs[0] : inputs;
+      return tf.gather(input, this.indices, 1);
+    });
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      indices: this.indices,
+    };
+  }
+
+  static get className() {
+    return 'SelectUnits';
+  }
+}
+
+tf.serialization.registerClass(SelectUnits);
+
+/**
+ * selectUnits
+ * @param {*} config - {indices, name}
+ */
+const selectUnits = config => new SelectUnits(config);
+
+export { SelectUnits, selectUnits };
@@ -25,6 +25,57 @@ class NeuralNetworkUtils {
     return ((value * (max - min)) + min)
   }
 
+  /**
+   * normalizes a value with the normalization method
+   * and statistics stored in the metadata of its column.
+   * columns without a method use min/max scaling
+   * @param {*} value
+   * @param {*} stats - {normalization, min, max, mean, std, median, iqr}
+   */
+  normalizeValueByMethod(value, stats) {
+    const { normalization = 'minmax', min, max } = stats;
+
+    switch (normalization) {
+      case 'minmax':
+        return this.normalizeValue(value, min, max);
+      case 'zscore':
+        return (value - stats.mean) / (stats.std || 1);
+      case 'robust':
+        return (value - stats.median) / (stats.iqr || 1);
+      case 'log-minmax':
+        // values below the min of the training data, which have no log, are clamped to it
+        return Math.log1p(Math.max(value - min, 0)) / Math.log1p(max - min);
+      case 'none':
+        return value;
+      default:
+        throw new Error(`${normalization} is not a supported normalization method`);
+    }
+  }
+
+  /**
+   * reverses normalizeValueByMethod()
+   * @param {*} value
+   * @param {*} stats - {normalization, min, max, mean, std, median, iqr}
+   */
+  unnormalizeValueByMethod(value, stats) {
+    const { normalization = 'minmax', min, max } = stats;
+
+    switch (normalization) {
+      case 'minmax':
+        return this.unnormalizeValue(value, min, max);
+      case 'zscore':
+        return value * (stats.std || 1) + stats.mean;
+      case 'robust':
+        return value * (stats.iqr || 1) + stats.median;
+      case 'log-minmax':
+        return Math.expm1(value * Math.log1p(max - min)) + min;
+      case 'none':
+        return value;
+      default:
+        throw new Error(`${normalization} is not a supported normalization method`);
+    }
+  }
+
   /**
    * getMin
    * @param {*} _array 
@@ -141,6 +192,212 @@ class NeuralNetworkUtils {
     return dtype;
   }
 
+  /**
+   * checks whether a value is missing: undefined, null,
+   * NaN or a blank string such as an empty cell of a csv
+   * @param {*} val
+   */
+  // eslint-disable-next-line class-methods-use-this
+  isMissingValue(val) {
+    return (
+      val === undefined ||
+      val === null ||
+      (typeof val === 'number' && Number.isNaN(val)) ||
+      (typeof val === 'string' && val.trim() === '')
+    );
+  }
+
+  /**
+   * returns the most frequent value of an array
+   * @param {*} _array
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getMode(_array) {
+    const counts = new Map();
+    _array.forEach(val => {
+      // arrays are compared by their values
+      const key = JSON.stringify(val);
+      counts.set(key, { val, count: counts.has(key) ? counts.get(key).count + 1 : 1 });
+    });
+    return [...counts.values()].reduce((a, b) => (b.count > a.count ? b : a)).val;
+  }
+
+  /**
+   * getMean
+   * @param {*} _array
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getMean(_array) {
+    return _array.reduce((a, b) => a + b, 0) / _array.length;
+  }
+
+  /**
+   * getStandardDeviation
+   * @param {*} _array
+   */
+  getStandardDeviation(_array) {
+    const mean = this.getMean(_array);
+    const variance = this.getMean(_array.map(v => (v - mean) * (v - mean)));
+    return Math.sqrt(variance);
+  }
+
+  /**
+   * returns the quantile q (0 - 1) of an array
+   * interpolating between the two closest values
+   * @param {*} _array
+   * @param {*} q
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getQuantile(_array, q) {
+    const sorted = [..._array].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  /**
+   * returns the index of the largest value in an array
+   * @param {*} _array
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getArgMax(_array) {
+    return _array.reduce((maxIdx, val, idx, arr) => (val > arr[maxIdx] ? idx : maxIdx), 0);
+  }
+
+  /**
+   * creates a confusion matrix where the rows are the
+   * actual class indices and the columns are the predicted class indices
+   * @param {*} actual
+   * @param {*} predicted
+   * @param {*} numClasses
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getConfusionMatrix(actual, predicted, numClasses) {
+    const matrix = [...new Array(numClasses)].map(() => new Array(numClasses).fill(0));
+    actual.forEach((actualIdx, idx) => {
+      matrix[actualIdx][predicted[idx]] += 1;
+    });
+    return matrix;
+  }
+
+  /**
+   * returns the accuracy, precision, recall and f1 for
+   * each class of a confusion matrix along with their macro average
+   * @param {*} matrix
+   * @param {*} labels
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getClassificationMetrics(matrix, labels) {
+    const total = matrix.flat().reduce((a, b) => a + b, 0);
+    const correct = matrix.reduce((sum, row, idx) => sum + row[idx], 0);
+
+    const perClass = {};
+    labels.forEach((label, idx) => {
+      const truePositives = matrix[idx][idx];
+      const actualCount = matrix[idx].reduce((a, b) => a + b, 0);
+      const predictedCount = matrix.reduce((sum, row) => sum + row[idx], 0);
+
+      const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+      const recall = actualCount > 0 ? truePositives / actualCount : 0;
+      const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+      perClass[label] = {
+        precision,
+        recall,
+        f1,
+        support: actualCount,
+      };
+    });
+
+    const classMetrics = Object.values(perClass);
+    const average = key => classMetrics.reduce((sum, m) => sum + m[key], 0) / classMetrics.length;
+
+    return {
+      accuracy: total > 0 ? correct / total : 0,
+      precision: average('precision'),
+      recall: average('recall'),
+      f1: average('f1'),
+      perClass,
+    };
+  }
+
+  /**
+   * scores each label of multi hot arrays as a yes or no decision and returns
+   * the share of correct decisions (accuracy), of rows with only correct decisions
+   * (exactMatch) and the precision, recall and f1 of each label with their macro average
+   * @param {*} actual - multi hot arrays
+   * @param {*} predicted - the confidence of each label
+   * @param {*} labels
+   * @param {*} thresholds - {label: threshold}
+   */
+  getMultiLabelMetrics(actual, predicted, labels, thresholds) {
+    const decisions = predicted.map(row =>
+      row.map((confidence, idx) => (confidence >= thresholds[labels[idx]] ? 1 : 0)),
+    );
+
+    const perClass = {};
+    labels.forEach((label, idx) => {
+      // rows are absent / present, columns are predicted absent / present
+      const matrix = this.getConfusionMatrix(
+        actual.map(row => row[idx]),
+        decisions.map(row => row[idx]),
+        2,
+      );
+      perClass[label] = this.getClassificationMetrics(matrix, ['absent', 'present']).perClass.present;
+    });
+
+    const total = actual.length * labels.length;
+    const correct = actual.reduce(
+      (sum, row, rowIdx) => sum + row.filter((val, idx) => val === decisions[rowIdx][idx]).length,
+      0,
+    );
+    const exactMatches = actual.filter((row, rowIdx) =>
+      row.every((val, idx) => val === decisions[rowIdx][idx]),
+    ).length;
+
+    const classMetrics = Object.values(perClass);
+    const average = key => classMetrics.reduce((sum, m) => sum + m[key], 0) / classMetrics.length;
+
+    return {
+      accuracy: total > 0 ? correct / total : 0,
+      exactMatch: actual.length > 0 ? exactMatches / actual.length : 0,
+      precision: average('precision'),
+      recall: average('recall'),
+      f1: average('f1'),
+      perClass,
+    };
+  }
+
+  /**
+   * returns the mean squared error, mean absolute error
+   * and coefficient of determination (R²) of two arrays
+   * @param {*} actual
+   * @param {*} predicted
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getRegressionMetrics(actual, predicted) {
+    const n = actual.length;
+    const mean = actual.reduce((a, b) => a + b, 0) / n;
+
+    let squaredError = 0;
+    let absoluteError = 0;
+    let totalSquares = 0;
+    actual.forEach((val, idx) => {
+      const diff = val - predicted[idx];
+      squaredError += diff * diff;
+      absoluteError += Math.abs(diff);
+      totalSquares += (val - mean) * (val - mean);
+    });
+
+    return {
+      mse: squaredError / n,
+      mae: absoluteError / n,
+      // a constant target can not be explained, report 0 rather than NaN
+      r2: totalSquares > 0 ? 1 - squaredError / totalSquares : 0,
+    };
+  }
+
 }
 
 const neuralNetworkUtils = () => {
@@ -107,13 +107,45 @@ class NeuralNetworkVis {
 
   /**
    * create a confusion matrix
-   * @param {*} inputLabels
-   * @param {*} outputLabels
-   * @param {*} data
+   * @param {*} matrix - rows are the actual classes, columns the predicted classes
+   * @param {*} labels
    */
-  // confusionMatrix(inputLabels, outputLabels, data) {
+  confusionMatrix(matrix, labels) {
+    const surface = {
+      name: "Confusion Matrix",
+    };
 
-  // }
+    const chartOptions = {
+      height: this.config.height,
+    };
+
+    tfvis.render.confusionMatrix(surface, { values: matrix, tickLabels: labels }, chartOptions);
+  }
+
+  /**
+   * create a bar chart of the contribution of each input to a prediction
+   * @param {*} contributions - [{input, contribution}]
+   */
+  contributionChart(contributions) {
+    const values = contributions.map(item => {
+      return {
+        index: item.input,
+        value: item.contribution,
+      };
+    });
+
+    const surface = {
+      name: "Input Contributions",
+    };
+
+    const chartOptions = {
+      xLabel: "input",
+      yLabel: "contribution",
+      height: this.config.height,
+    };
+
+    tfvis.render.barchart(surface, values, chartOptions);
+  }
 
   /**
    * Visualize the training of the neural net
@@ -0,0 +1,585 @@
+import * as tf from '@tensorflow/tfjs';
+import NeuralNetwork from './NeuralNetwork';
+
+/**
+ * A neural network which is trained and makes its predictions
+ * in a web worker, so that the page keeps responding while it trains.
+ * The model is built and compiled on the main thread as usual and
+ * sent to the worker. The weights are sent back after each epoch,
+ * so that the model of the main thread can be saved, explained or
+ * used for synchronous predictions at any time.
+ * The worker loads the tf.js build which the builds of ml5 ship as
+ * tf.min.js next to the ml5 script, or the one at the tfjsUrl it is given.
+ * ml5 itself never loads scripts from anywhere else.
+ */
+
+// the url of the ml5 script, which is only known while the script first runs
+const ML5_SCRIPT_URL =
+  typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : '';
+
+/**
+ * returns the url of the tf.js build next to the ml5 script,
+ * or null if ml5 was bundled into another script
+ */
+const getBundledTfjsUrl = () => (ML5_SCRIPT_URL ? new URL('tf.min.js', ML5_SCRIPT_URL).href : null);
+
+/**
+ * returns the source code of the worker. it is a string rather than
+ * a module, so that it runs without being bundled and transpiled
+ * @param {*} tfjsUrl
+ */
+const createWorkerSource = tfjsUrl => `
+importScripts('${tfjsUrl}');
+
+// the same layer as SelectUnits of NeuralNetworkLayers.js,
+// so that the functional models of ml5 can be rebuilt here
+class SelectUnits extends tf.layers.Layer {
+  constructor(config) {
+    super(config);
+    this.indices = config.indices;
+  }
+
+  computeOutputShape(inputShape) {
+    return [inputShape[0], this.indices.length];
+  }
+
+  call(inputs) {
+    return tf.tidy(() => tf.gather(Array.isArray(inputs) ? inputs[0] : inputs, this.indices, 1));
+  }
+
+  getConfig() {
+    return Object.assign({}, super.getConfig(), { indices: this.indices });
+  }
+
+  static get className() {
+    return 'SelectUnits';
+  }
+}
+tf.serialization.registerClass(SelectUnits);
+
+let model = null;
+let isPaused = false;
+let resolvePause = null;
+let resolveEpoch = null;
+
+const toTensors = data =>
+  Array.isArray(data) ? data.map(toTensors) : tf.tensor(data.values, data.shape, data.dtype);
+
+const getWeights = () =>
+  model.getWeights().map(tensor => ({ values: tensor.dataSync(), shape: tensor.shape, dtype: tensor.dtype }));
+
+const setWeights = weights => {
+  const tensors = toTensors(weights);
+  model.setWeights(tensors);
+  tf.dispose(tensors);
+};
+
+const setLearningRate = learningRate => {
+  if (typeof model.optimizer.setLearningRate === 'function') {
+    model.optimizer.setLearningRate(learningRate);
+  } else {
+    model.optimizer.learningRate = learningRate;
+  }
+};
+
+const resume = () => {
+  isPaused = false;
+  if (resolvePause) {
+    resolvePause();
+    resolvePause = null;
+  }
+};
+
+const handlers = {
+  load: async ({ artifacts, compileOptions }) => {
+    if (model) {
+      model.dispose();
+    }
+    model = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+    if (compileOptions) {
+      const { className, config } = compileOptions.optimizer;
+      const [optimizerClass, fromConfig] = tf.serialization.SerializationMap.getMap().classNameMap[className];
+      model.compile(Object.assign({}, compileOptions, { optimizer: fromConfig(optimizerClass, config) }));
+    }
+  },
+  train: async ({ inputs, outputs, validationData, options }, postEvent) => {
+    const xs = toTensors(inputs);
+    const ys = toTensors(outputs);
+    const validation = validationData ? toTensors(validationData) : undefined;
+    isPaused = false;
+    model.stopTraining = false;
+
+    await model.fit(xs, ys, Object.assign({}, options, {
+      validationData: validation,
+      callbacks: {
+        onEpochBegin: async (epoch, logs) => postEvent({ event: 'onEpochBegin', args: [epoch, logs] }),
+        onBatchBegin: async (batch, logs) => postEvent({ event: 'onBatchBegin', args: [batch, logs] }),
+        onBatchEnd: async (batch, logs) => {
+          postEvent({ event: 'onBatchEnd', args: [batch, logs] });
+          if (isPaused) {
+            await new Promise(resolve => {
+              resolvePause = resolve;
+            });
+          }
+        },
+        // waits for the callbacks of the main thread, which
+        // may stop the training or change the learning rate
+        onEpochEnd: async (epoch, logs) => {
+          const reply = new Promise(resolve => {
+            resolveEpoch = resolve;
+          });
+          postEvent({ event: 'onEpochEnd', args: [epoch, logs], weights: getWeights() });
+          const { stopTraining, learningRate } = await reply;
+          if (learningRate !== undefined) {
+            setLearningRate(learningRate);
+          }
+          if (stopTraining) {
+            model.stopTraining = true;
+          }
+        },
+      },
+    }));
+
+    tf.dispose([xs, ys, validation]);
+    return { weights: getWeights() };
+  },
+  setWeights: async ({ weights }) => setWeights(weights),
+  predict: async ({ inputs }) => {
+    const input = toTensors(inputs);
+    const output = model.predict(input);
+    const result = await Promise.all([].concat(output).map(tensor => tensor.array()));
+    tf.dispose([input, output]);
+    return Array.isArray(output) ? result : result[0];
+  },
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type, payload } = data;
+
+  // messages which control a running training
+  switch (type) {
+    case 'pause':
+      isPaused = true;
+      return;
+    case 'resume':
+      resume();
+      return;
+    case 'stop':
+      if (model) {
+        model.stopTraining = true;
+      }
+      resume();
+      return;
+    case 'epochEnd':
+      resolveEpoch(payload);
+      return;
+    default:
+  }
+
+  try {
+    const result = await handlers[type](payload, message => self.postMessage(Object.assign({ id }, message)));
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
+`;
+
+/**
+ * returns the values of a tensor, or of each tensor of an array,
+ * in a form that can be posted to the worker
+ * @param {*} tensors
+ */
+const tensorsToData = tensors =>
+  Array.isArray(tensors)
+    ? tensors.map(tensorsToData)
+    : { values: tensors.dataSync(), shape: tensors.shape, dtype: tensors.dtype };
+
+/**
+ * checks whether a loss or metrics option holds functions, which
+ * can not be posted to the worker
+ * @param {*} value - a string, function, array or object
+ */
+const hasFunctions = value => {
+  const items =
+    value !== null && typeof value === 'object' && !Array.isArray(value)
+      ? Object.values(value)
+      : [].concat(value);
+  return items.some(item => typeof item === 'function');
+};
+
+class NeuralNetworkWorker extends NeuralNetwork {
+  /**
+   * @param {*} options - {tfjsUrl}, the tf.js build the worker loads
+   */
+  constructor(options = {}) {
+    super();
+
+    this.tfjsUrl =
+      typeof options === 'object' && options.tfjsUrl ? options.tfjsUrl : getBundledTfjsUrl();
+    if (this.tfjsUrl === null) {
+      throw new Error(
+        `ml5 was not loaded from a script tag, so the worker needs the url of a tf.js ${tf.version.tfjs} build to load, use worker: { tfjsUrl }`,
+      );
+    }
+    this.worker = null;
+    // the pending requests to the worker by their id
+    this.requests = {};
+    this.requestId = 0;
+    // the loss, metrics and optimizer which the worker compiles the model with
+    this.compileOptions = null;
+    // whether the model of the worker has the weights of the main thread
+    this.isWorkerModelReady = false;
+
+    this.createWorker = this.createWorker.bind(this);
+    this.request = this.request.bind(this);
+    this.post = this.post.bind(this);
+    this.handleMessage = this.handleMessage.bind(this);
+    this.rejectRequests = this.rejectRequests.bind(this);
+    this.syncModel = this.syncModel.bind(this);
+    this.getWeightsData = this.getWeightsData.bind(this);
+    this.setWeightsData = this.setWeightsData.bind(this);
+  }
+
+  /**
+   * starts the worker from its source code
+   */
+  createWorker() {
+    if (typeof Worker === 'undefined') {
+      throw new Error('web workers are not supported here, create the neural network with worker: false');
+    }
+
+    // the worker runs from a blob, which relative urls can not be resolved against
+    const tfjsUrl = new URL(this.tfjsUrl, document.baseURI).href;
+    const source = new Blob([createWorkerSource(tfjsUrl)], { type: 'application/javascript' });
+    this.worker = new Worker(URL.createObjectURL(source));
+    this.worker.onmessage = this.handleMessage;
+    this.worker.onerror = event => {
+      event.preventDefault();
+      this.rejectRequests(new Error(`the worker of the neural network failed: ${event.message}`));
+    };
+  }
+
+  /**
+   * sends a request to the worker and resolves with its result.
+   * the events the worker posts while working are passed to onEvent
+   * @param {*} type - 'load' | 'train' | 'setWeights' | 'predict'
+   * @param {*} payload
+   * @param {*} onEvent
+   */
+  request(type, payload, onEvent = null) {
+    if (this.worker === null) {
+      this.createWorker();
+    }
+
+    this.requestId += 1;
+    const id = this.requestId;
+    return new Promise((resolve, reject) => {
+      this.requests[id] = { resolve, reject, onEvent };
+      this.worker.postMessage({ id, type, payload });
+    });
+  }
+
+  /**
+   * sends a message which controls the training to the worker
+   * @param {*} type - 'pause' | 'resume' | 'stop' | 'epochEnd'
+   * @param {*} payload
+   */
+  post(type, payload = null) {
+    if (this.worker !== null) {
+      this.worker.postMessage({ type, payload });
+    }
+  }
+
+  /**
+   * passes the events and results of the worker to their requests
+   * @param {*} message
+   */
+  handleMessage({ data }) {
+    const request = this.requests[data.id];
+    if (!request) return;
+
+    if (data.event) {
+      Promise.resolve(request.onEvent(data)).catch(error => {
+        delete this.requests[data.id];
+        this.post('stop');
+        request.reject(error);
+      });
+      return;
+    }
+
+    delete this.requests[data.id];
+    if (data.error) {
+      request.reject(new Error(data.error));
+    } else {
+      request.resolve(data.result);
+    }
+  }
+
+  /**
+   * rejects all pending requests
+   * @param {*} error
+   */
+  rejectRequests(error) {
+    Object.keys(this.requests).forEach(id => {
+      this.requests[id].reject(error);
+      delete this.requests[id];
+    });
+  }
+
+  /**
+   * sends the model of the main thread to the worker
+   * if it has changed since it was last sent
+   */
+  async syncModel() {
+    if (this.isWorkerModelReady) return;
+
+    const artifacts = await this.getArtifacts();
+    await this.request('load', { artifacts, compileOptions: this.compileOptions });
+    this.isWorkerModelReady = true;
+  }
+
+  /**
+   * returns the weights of the model of the main thread
+   */
+  getWeightsData() {
+    return tensorsToData(this.model.getWeights());
+  }
+
+  /**
+   * sets the weights of the model of the main thread
+   * @param {*} weights - [{values, shape, dtype}]
+   */
+  setWeightsData(weights) {
+    const tensors = weights.map(({ values, shape, dtype }) => tf.tensor(values, shape, dtype));
+    this.model.setWeights(tensors);
+    tf.dispose(tensors);
+  }
+
+  /**
+   * creates the model, which is sent to the worker once it is needed
+   * @param {*} _type
+   * @param {*} _options
+   */
+  createModel(_type, _options) {
+    this.isWorkerModelReady = false;
+    return super.createModel(_type, _options);
+  }
+
+  /**
+   * add layer to the model
+   * @param {*} _layerOptions
+   */
+  addLayer(_layerOptions) {
+    this.isWorkerModelReady = false;
+    super.addLayer(_layerOptions);
+  }
+
+  /**
+   * compiles the model and keeps the options
+   * the model of the worker is compiled with
+   * @param {*} _modelOptions
+   */
+  compile(_modelOptions) {
+    const { loss, metrics, optimizer } = _modelOptions;
+    if (hasFunctions(loss) || hasFunctions(metrics)) {
+      throw new Error(
+        'custom loss and metric functions can not be sent to the worker, use their names or worker: false',
+      );
+    }
+
+    this.compileOptions = {
+      loss,
+      metrics,
+      optimizer: {
+        className: optimizer.getClassName(),
+        config: optimizer.getConfig(),
+      },
+    };
+    this.isWorkerModelReady = false;
+    super.compile(_modelOptions);
+  }
+
+  /**
+   * trains the model in the worker. the whileTraining callbacks
+   * are called on the main thread with the weights of each epoch
+   * @param {*} _options
+   */
+  async trainInternal(_options) {
+    const TRAINING_OPTIONS = _options;
+
+    const xs = TRAINING_OPTIONS.inputs;
+    const ys = TRAINING_OPTIONS.outputs;
+
+    const {
+      batchSize,
+      epochs,
+      shuffle,
+      validationSplit,
+      validationData,
+      initialEpoch,
+      classWeight,
+    } = TRAINING_OPTIONS;
+
+    if (TRAINING_OPTIONS.augmentation) {
+      throw new Error('augmentation is not supported in a worker, create the neural network with worker: false');
+    }
+
+    const callbacks = this.createCallbacks(TRAINING_OPTIONS);
+    // calls the callbacks one after the other, like model.fit()
+    const callCallbacks = (event, args) =>
+      callbacks.reduce(
+        (previous, callback) =>
+          previous.then(() =>
+            typeof callback[event] === 'function' ? callback[event](...args) : null,
+          ),
+        Promise.resolve(),
+      );
+
+    await this.syncModel();
+    this.model.stopTraining = false;
+    await callCallbacks('onTrainBegin', [{}]);
+
+    const { weights } = await this.request(
+      'train',
+      {
+        inputs: tensorsToData(xs),
+        outputs: tensorsToData(ys),
+        validationData: validationData ? tensorsToData(validationData) : null,
+        options: {
+          batchSize,
+          epochs,
+          shuffle,
+          validationSplit,
+          initialEpoch,
+          classWeight,
+        },
+      },
+      async ({ event, args, weights: epochWeights }) => {
+        if (event !== 'onEpochEnd') {
+          await callCallbacks(event, args);
+          return;
+        }
+
+        // the worker waits for the callbacks of each epoch
+        // and stops if one of them fails
+        let stopTraining = true;
+        try {
+          this.setWeightsData(epochWeights);
+          await callCallbacks(event, args);
+          ({ stopTraining } = this.model);
+        } finally {
+          this.post('epochEnd', {
+            stopTraining,
+            learningRate: this.model.optimizer.learningRate,
+          });
+        }
+      },
+    );
+
+    this.setWeightsData(weights);
+    await callCallbacks('onTrainEnd', [{}]);
+    // the callbacks may have changed the weights, e.g. to the best epoch
+    await this.request('setWeights', { weights: this.getWeightsData() });
+
+    // functional models with several outputs are trained on a tensor for each output
+    xs.dispose();
+    [].concat(ys).forEach(tensor => tensor.dispose());
+    if (validationData) {
+      validationData.flat().forEach(tensor => tensor.dispose());
+    }
+
+    this.isTrained = true;
+  }
+
+  /**
+   * pauses the training after the current batch
+   */
+  pauseTraining() {
+    super.pauseTraining();
+    this.post('pause');
+  }
+
+  /**
+   * resumes a paused training
+   */
+  resumeTraining() {
+    super.resumeTraining();
+    this.post('resume');
+  }
+
+  /**
+   * stops the training after the current batch
+   */
+  stopTraining() {
+    super.stopTraining();
+    this.post('stop');
+  }
+
+  /**
+   * returns the prediction of the worker as an array.
+   * models with several outputs return an array for each output
+   * @param {*} _inputs
+   */
+  async predict(_inputs) {
+    await this.syncModel();
+    const result = await this.request('predict', { inputs: tensorsToData(_inputs) });
+    _inputs.dispose();
+
+    return result;
+  }
+
+  /**
+   * loads the model and weights
+   * @param {*} filesOrPath
+   * @param {*} callback
+   */
+  async load(filesOrPath, callback) {
+    this.isWorkerModelReady = false;
+    this.compileOptions = null;
+    return super.load(filesOrPath, callback);
+  }
+
+  /**
+   * loads the model from its topology, weight specs and weight data
+   * @param {*} artifacts
+   */
+  async loadArtifacts(artifacts) {
+    this.isWorkerModelReady = false;
+    this.compileOptions = null;
+    return super.loadArtifacts(artifacts);
+  }
+
+  /**
+   * mutate the weights of a model
+   * @param {*} rate
+   * @param {*} mutateFunction
+   */
+  mutate(rate, mutateFunction) {
+    super.mutate(rate, mutateFunction);
+    this.isWorkerModelReady = false;
+  }
+
+  /**
+   * crossover the weights with the weights of another model
+   * @param {*} other
+   */
+  crossover(other) {
+    super.crossover(other);
+    this.isWorkerModelReady = false;
+  }
+
+  /**
+   * dispose the model and stop the worker
+   */
+  dispose() {
+    super.dispose();
+    if (this.worker !== null) {
+      this.worker.terminate();
+      this.worker = null;
+      this.rejectRequests(new Error('the neural network has been disposed'));
+    }
+  }
+}
+
+export default NeuralNetworkWorker;
@@ -1,10 +1,29 @@
 import * as tf from '@tensorflow/tfjs';
 import NeuralNetwork from './NeuralNetwork';
+import NeuralNetworkWorker from './NeuralNetworkWorker';
 import NeuralNetworkData from './NeuralNetworkData';
 import NeuralNetworkVis from './NeuralNetworkVis';
 import callCallback from '../utils/callcallback';
+import {
+  CHECKPOINT_PREFIX,
+  saveBlob,
+  saveToIndexedDB,
+  loadFromIndexedDB,
+  deleteFromIndexedDB,
+  isStoragePath,
+  saveToStorage,
+  loadFromStorage,
+} from '../utils/io';
+import {
+  BUNDLE_EXTENSION,
+  createBundle,
+  parseBundle,
+  isBundle,
+  loadBundle,
+} from './NeuralNetworkBundle';
 
 import nnUtils from './NeuralNetworkUtils';
+import { randomFloat, randomSample } from '../utils/random';
 import { imgToPixelArray, isInstanceOfSupportedElement } from '../utils/imageUtilities';
 
 const DEFAULTS = {
@@ -18,7 +37,46 @@ const DEFAULTS = {
   learningRate: 0.2,
   hiddenUnits: 16,
   noTraining: false,
+  normalizationOptions: null,
+  missingValues: null,
+  csvOptions: {},
+  thresholds: 0.5,
+  sequenceOptions: {},
+  // for autoencoder tasks, the number of units of the bottleneck
+  latentDims: 2,
+  // for imageClassification tasks, {flip, rotate, brightness, crop, noise}
+  augmentation: null,
+  // for imageClassification tasks, how images of another size are resized:
+  // 'stretch', 'crop' or 'letterbox'
+  imageFit: 'stretch',
+  encodingOptions: null,
+  // true or {tfjsUrl} to train and predict in a web worker
+  worker: false,
 };
+
+const SEQUENCE_TASKS = ['sequenceClassification', 'sequenceRegression'];
+
+// the name of the layer whose output autoencoders encode their inputs to
+const BOTTLENECK_LAYER = 'bottleneck';
+
+// the options tune() can search and the values it tries by default
+const TUNING_SPACE = {
+  hiddenUnits: [8, 16, 32, 64],
+  learningRate: { min: 0.001, max: 0.3, scale: 'log' },
+  epochs: [20, 50],
+  batchSize: [16, 32],
+};
+const INTEGER_PARAMS = ['hiddenUnits', 'epochs', 'batchSize'];
+// the number of values a grid search tries of a range
+const GRID_STEPS = 3;
+// metrics where a lower value is a better model
+const LOWER_IS_BETTER = ['mse', 'mae'];
+
+// the default number of samples of each uncertainty method. each
+// sample of an ensemble is a model which is trained from scratch
+const DROPOUT_SAMPLES = 30;
+const ENSEMBLE_SIZE = 5;
+
 class DiyNeuralNetwork {
   constructor(options, cb) {
     this.callback = cb;
@@ -28,14 +86,19 @@ class DiyNeuralNetwork {
     if (options.task === 'imageClassification') {
       DEFAULTS.learningRate = 0.02;
     }
+    // recurrent layers are trained with adam, which needs a smaller learning rate
+    const taskDefaults = SEQUENCE_TASKS.includes(options.task) ? { learningRate: 0.01 } : {};
 
     this.options =
       {
         ...DEFAULTS,
+        ...taskDefaults,
         ...options,
       } || DEFAULTS;
 
-    this.neuralNetwork = new NeuralNetwork();
+    this.neuralNetwork = this.options.worker
+      ? new NeuralNetworkWorker(this.options.worker)
+      : new NeuralNetwork();
     this.neuralNetworkData = new NeuralNetworkData();
     this.neuralNetworkVis = new NeuralNetworkVis();
 
@@ -44,32 +107,72 @@ class DiyNeuralNetwork {
     };
 
     this.ready = false;
+    // the last warning about missing values, so it is shown once
+    this.missingValuesWarning = null;
+
+    // the number of epochs completed by the
+    // training that was restored from a checkpoint
+    this.checkpointEpoch = 0;
+    // the epochs and batch size of the last training,
+    // which the models of an ensemble are trained with
+    this.lastTrainingOptions = null;
+    // the models which are sampled for uncertainty estimates
+    this.ensemble = [];
 
     // Methods
     this.init = this.init.bind(this);
     // adding data
     this.addData = this.addData.bind(this);
+    this.isSequenceTask = this.isSequenceTask.bind(this);
+    this.isAutoencoder = this.isAutoencoder.bind(this);
+    this.formatSequence = this.formatSequence.bind(this);
     this.loadDataFromUrl = this.loadDataFromUrl.bind(this);
     this.loadDataInternal = this.loadDataInternal.bind(this);
+    // editing data
+    this.removeData = this.removeData.bind(this);
+    this.filterData = this.filterData.bind(this);
+    this.relabel = this.relabel.bind(this);
+    this.dedupe = this.dedupe.bind(this);
+    this.getDataSummary = this.getDataSummary.bind(this);
+    this.refreshData = this.refreshData.bind(this);
     // metadata prep
     this.createMetaData = this.createMetaData.bind(this);
+    this.setThresholds = this.setThresholds.bind(this);
     // data prep and handling
+    this.validateData = this.validateData.bind(this);
+    this.handleMissingValues = this.handleMissingValues.bind(this);
+    this.getTrainingDataRaw = this.getTrainingDataRaw.bind(this);
     this.prepareForTraining = this.prepareForTraining.bind(this);
     this.normalizeData = this.normalizeData.bind(this);
     this.normalizeInput = this.normalizeInput.bind(this);
     this.searchAndFormat = this.searchAndFormat.bind(this);
     this.formatInputItem = this.formatInputItem.bind(this);
+    this.getImageShape = this.getImageShape.bind(this);
     this.convertTrainingDataToTensors = this.convertTrainingDataToTensors.bind(this);
     this.formatInputsForPrediction = this.formatInputsForPrediction.bind(this);
     this.formatInputsForPredictionAll = this.formatInputsForPredictionAll.bind(this);
+    this.formatInputsForModel = this.formatInputsForModel.bind(this);
+    this.formatSequencesForPrediction = this.formatSequencesForPrediction.bind(this);
     this.isOneHotEncodedOrNormalized = this.isOneHotEncodedOrNormalized.bind(this);
     // model prep
     this.train = this.train.bind(this);
     this.trainInternal = this.trainInternal.bind(this);
     this.addLayer = this.addLayer.bind(this);
     this.createNetworkLayers = this.createNetworkLayers.bind(this);
+    this.isLayerGraph = this.isLayerGraph.bind(this);
+    this.formatLayerGraph = this.formatLayerGraph.bind(this);
+    this.createEmbeddingLayers = this.createEmbeddingLayers.bind(this);
     this.addDefaultLayers = this.addDefaultLayers.bind(this);
+    this.getOutputHeads = this.getOutputHeads.bind(this);
     this.compile = this.compile.bind(this);
+    // training control
+    this.pauseTraining = this.pauseTraining.bind(this);
+    this.resumeTraining = this.resumeTraining.bind(this);
+    this.stopTraining = this.stopTraining.bind(this);
+    this.saveCheckpoint = this.saveCheckpoint.bind(this);
+    this.loadCheckpoint = this.loadCheckpoint.bind(this);
+    this.loadCheckpointInternal = this.loadCheckpointInternal.bind(this);
+    this.deleteCheckpoint = this.deleteCheckpoint.bind(this);
     // prediction / classification
     this.predict = this.predict.bind(this);
     this.predictMultiple = this.predictMultiple.bind(this);
@@ -77,12 +180,52 @@ class DiyNeuralNetwork {
     this.classifyMultiple = this.classifyMultiple.bind(this);
     this.predictInternal = this.predictInternal.bind(this);
     this.classifyInternal = this.classifyInternal.bind(this);
+    this.formatMultiLabelResults = this.formatMultiLabelResults.bind(this);
+    this.predictWithUncertainty = this.predictWithUncertainty.bind(this);
+    this.classifyWithUncertainty = this.classifyWithUncertainty.bind(this);
+    this.sampleOutputs = this.sampleOutputs.bind(this);
+    this.getEnsemble = this.getEnsemble.bind(this);
+    this.disposeEnsemble = this.disposeEnsemble.bind(this);
+    this.getSampleStats = this.getSampleStats.bind(this);
+    this.predictAll = this.predictAll.bind(this);
+    this.predictAllSync = this.predictAllSync.bind(this);
+    this.predictAllInternal = this.predictAllInternal.bind(this);
+    this.predictAllSyncInternal = this.predictAllSyncInternal.bind(this);
+    this.formatAllResults = this.formatAllResults.bind(this);
+    this.formatOutputResult = this.formatOutputResult.bind(this);
+    // autoencoder
+    this.encode = this.encode.bind(this);
+    this.encodeInternal = this.encodeInternal.bind(this);
+    this.decode = this.decode.bind(this);
+    this.decodeInternal = this.decodeInternal.bind(this);
+    this.getBottleneckIndex = this.getBottleneckIndex.bind(this);
+    // evaluation
+    this.crossValidate = this.crossValidate.bind(this);
+    this.crossValidateInternal = this.crossValidateInternal.bind(this);
+    this.tune = this.tune.bind(this);
+    this.tuneInternal = this.tuneInternal.bind(this);
+    this.createTrials = this.createTrials.bind(this);
+    this.getGridValues = this.getGridValues.bind(this);
+    this.getMetricScore = this.getMetricScore.bind(this);
+    this.evaluate = this.evaluate.bind(this);
+    this.evaluateInternal = this.evaluateInternal.bind(this);
+    this.getOutputMetrics = this.getOutputMetrics.bind(this);
+    // explanations
+    this.explain = this.explain.bind(this);
+    this.explainInternal = this.explainInternal.bind(this);
+    this.getInputUnitGroups = this.getInputUnitGroups.bind(this);
+    this.getExplainTarget = this.getExplainTarget.bind(this);
+    this.getPermutationContributions = this.getPermutationContributions.bind(this);
+    this.loadEvaluationData = this.loadEvaluationData.bind(this);
+    this.formatEvaluationData = this.formatEvaluationData.bind(this);
     // save / load data
     this.saveData = this.saveData.bind(this);
     this.loadData = this.loadData.bind(this);
     // save / load model
     this.save = this.save.bind(this);
+    this.saveInternal = this.saveInternal.bind(this);
     this.load = this.load.bind(this);
+    this.loadInternal = this.loadInternal.bind(this);
 
     // release model
     this.dispose = this.dispose.bind(this);
@@ -158,6 +301,37 @@ class DiyNeuralNetwork {
     });
   }
 
+  /**
+   * createUntrainedCopy
+   * creates a new, untrained neural network with the same options
+   * and metadata as this one and gets it ready to train on the given data.
+   * sharing the metadata keeps the onehot legends and normalization identical
+   * @param {*} dataRaw
+   * @param {*} _options
+   */
+  createUntrainedCopy(dataRaw, _options = {}) {
+    const nnCopy = new DiyNeuralNetwork({
+      ...this.options,
+      dataUrl: null,
+      modelUrl: null,
+      noTraining: false,
+      debug: false,
+      ..._options,
+    });
+
+    nnCopy.neuralNetworkData.meta = JSON.parse(JSON.stringify(this.neuralNetworkData.meta));
+    nnCopy.neuralNetworkData.isMetadataReady = true;
+    nnCopy.neuralNetworkData.data.raw = dataRaw;
+
+    if (nnCopy.neuralNetworkData.meta.isNormalized) {
+      nnCopy.normalizeData();
+    } else {
+      nnCopy.prepareForTraining();
+    }
+
+    return nnCopy;
+  }
+
   /**
    * ////////////////////////////////////////////////////////////
    * Adding Data
@@ -170,8 +344,14 @@ class DiyNeuralNetwork {
    * @param {Array | Object} yInputs
    * @param {*} options
    */
-  addData(xInputs, yInputs, options = null) {
+  addData(_xInputs, _yInputs, options = null) {
     const { inputs, outputs } = this.options;
+    // the frames of a sequence are stored as a sequence for each feature
+    const xInputs = this.isSequenceTask()
+      ? this.formatSequence(_xInputs, options !== null ? options.inputLabels : inputs)
+      : _xInputs;
+    // an autoencoder is trained to reconstruct its inputs
+    const yInputs = this.isAutoencoder() ? xInputs : _yInputs;
 
     // get the input and output labels
     // or infer them from the data
@@ -211,11 +391,56 @@ class DiyNeuralNetwork {
     const formattedInputs = this.searchAndFormat(xInputs);
     const xs = nnUtils.formatDataAsObject(formattedInputs, inputLabels);
 
-    const ys = nnUtils.formatDataAsObject(yInputs, outputLabels);
+    const ys = this.isAutoencoder() ? { ...xs } : nnUtils.formatDataAsObject(yInputs, outputLabels);
 
     this.neuralNetworkData.addData(xs, ys);
   }
 
+  /**
+   * checks whether the task uses sequences as inputs
+   */
+  isSequenceTask() {
+    return SEQUENCE_TASKS.includes(this.options.task);
+  }
+
+  /**
+   * checks whether the task reconstructs its inputs
+   */
+  isAutoencoder() {
+    return this.options.task === 'autoencoder';
+  }
+
+  /**
+   * turns an array of frames, e.g. [{x: 1, y: 2}, {x: 2, y: 3}] or
+   * [[1, 2], [2, 3]], into a sequence for each feature: {x: [1, 2], y: [2, 3]}.
+   * frames given as arrays are named by the labels or the inputs option
+   * @param {*} frames
+   * @param {*} inputLabels
+   */
+  formatSequence(frames, inputLabels = this.options.inputs) {
+    if (!Array.isArray(frames) || frames.length === 0) {
+      throw new Error('a sequence must be an array with at least one frame');
+    }
+
+    const sequence = {};
+    frames.forEach(frame => {
+      let labels = Object.keys(frame);
+      if (Array.isArray(frame)) {
+        labels =
+          Array.isArray(inputLabels) && inputLabels.length === frame.length
+            ? inputLabels
+            : nnUtils.createLabelsFromArrayValues(frame, 'input');
+      }
+
+      labels.forEach((label, idx) => {
+        const value = Array.isArray(frame) ? frame[idx] : frame[label];
+        sequence[label] = (sequence[label] || []).concat(value);
+      });
+    });
+
+    return sequence;
+  }
+
   /**
    * loadData
    * @param {*} options
@@ -230,16 +455,150 @@ class DiyNeuralNetwork {
    * @param {*} options
    */
   async loadDataInternal(options) {
-    const { dataUrl, inputs, outputs } = options;
+    const { dataUrl, inputs, outputs, csvOptions } = options;
 
-    const data = await this.neuralNetworkData.loadDataFromUrl(dataUrl, inputs, outputs);
+    const data = await this.neuralNetworkData.loadDataFromUrl(dataUrl, inputs, outputs, csvOptions);
 
     // once the data are loaded, create the metadata
     // and prep the data for training
     // if the inputs are defined as an array of [img_width, img_height, channels]
-    this.createMetadata(data);
+    this.createMetaData(this.handleMissingValues(data));
+
+    this.prepareForTraining();
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////////
+   * Editing Data
+   * ////////////////////////////////////////////////////////////
+   */
+
+  /**
+   * removes the rows at the given index or indices
+   * or those for which predicate(row, index) is true
+   * returns the removed rows
+   * @param {Number | Array | Function} indexOrPredicate
+   */
+  removeData(indexOrPredicate) {
+    let predicate = indexOrPredicate;
+    if (typeof indexOrPredicate === 'number') {
+      predicate = (row, idx) => idx === indexOrPredicate;
+    } else if (Array.isArray(indexOrPredicate)) {
+      predicate = (row, idx) => indexOrPredicate.includes(idx);
+    } else if (typeof indexOrPredicate !== 'function') {
+      throw new Error('removeData() needs an index, an array of indices or a function');
+    }
+
+    return this.filterData((row, idx) => !predicate(row, idx));
+  }
+
+  /**
+   * keeps the rows for which predicate(row, index) is true
+   * returns the removed rows
+   * @param {Function} predicate
+   */
+  filterData(predicate) {
+    const kept = [];
+    const removed = [];
+    this.neuralNetworkData.data.raw.forEach((row, idx) => {
+      if (predicate(row, idx)) {
+        kept.push(row);
+      } else {
+        removed.push(row);
+      }
+    });
+
+    if (removed.length > 0) {
+      this.neuralNetworkData.data.raw = kept;
+      this.refreshData();
+    }
+    return removed;
+  }
+
+  /**
+   * sets the outputs of the rows for which predicate(row, index) is true.
+   * newLabel is either the value of the only output or an object of {outputLabel: value}.
+   * once the model is built, the new labels must be in the legends of its outputs
+   * returns the number of relabeled rows
+   * @param {Function} predicate
+   * @param {*} newLabel
+   */
+  relabel(predicate, newLabel) {
+    const { meta, isMetadataReady } = this.neuralNetworkData;
+    const checkLegends = ys => {
+      if (!this.neuralNetwork.isLayered || !isMetadataReady) return;
+      Object.keys(ys).forEach(k => {
+        const legend = meta.outputs[k] && meta.outputs[k].legend;
+        if (!legend) return;
+        [].concat(ys[k]).forEach(label => {
+          if (legend[label] === undefined) {
+            throw new Error(
+              `${label} is not a label the model was built with (${Object.keys(legend).join(', ')}). Create a new neural network to train with new labels`,
+            );
+          }
+        });
+      });
+    };
+
+    let count = 0;
+    const dataRaw = this.neuralNetworkData.data.raw.map((row, idx) => {
+      if (!predicate(row, idx)) return row;
+
+      const outputLabels = Object.keys(row.ys);
+      let ys;
+      if (newLabel instanceof Object && !Array.isArray(newLabel)) {
+        ys = { ...row.ys, ...newLabel };
+      } else if (outputLabels.length === 1) {
+        ys = { [outputLabels[0]]: newLabel };
+      } else {
+        throw new Error(
+          'the data has more than one output, give the new label as {outputLabel: value}',
+        );
+      }
+      checkLegends(ys);
+      count += 1;
+      return { xs: row.xs, ys };
+    });
+
+    if (count > 0) {
+      this.neuralNetworkData.data.raw = dataRaw;
+      this.refreshData();
+    }
+    return count;
+  }
+
+  /**
+   * removes rows whose inputs and outputs are the same as an earlier row
+   * returns the removed rows
+   */
+  dedupe() {
+    const seen = new Set();
+    return this.filterData(row => {
+      const key = JSON.stringify([row.xs, row.ys]);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * summarizes the data in data.raw, see NeuralNetworkData.getDataSummary()
+   */
+  getDataSummary() {
+    return this.neuralNetworkData.getDataSummary(this.neuralNetworkData.data.raw);
+  }
 
-    this.prepareForTraining(data);
+  /**
+   * marks the data as changed, so the metadata and training data
+   * are recomputed before the next training. once the layers are
+   * built they depend on the metadata, so it is kept
+   */
+  refreshData() {
+    if (!this.neuralNetwork.isLayered) {
+      this.neuralNetworkData.isMetadataReady = false;
+    }
+    this.neuralNetworkData.isWarmedUp = false;
+    this.data.training = [];
   }
 
   /**
@@ -257,7 +616,50 @@ class DiyNeuralNetwork {
         inputs.every(item => typeof item === 'number') && inputs.length > 0 ? inputs : null;
     }
 
-    this.neuralNetworkData.createMetadata(dataRaw, inputShape);
+    this.neuralNetworkData.createMetadata(
+      dataRaw,
+      inputShape,
+      this.options.normalizationOptions,
+      this.isSequenceTask() ? this.options.sequenceOptions : null,
+      this.options.encodingOptions,
+    );
+    this.setThresholds(this.options.thresholds);
+    // the values imputed into the training data are kept, so the
+    // evaluation data and the inputs of predictions get the same ones
+    this.neuralNetworkData.meta.imputedValues = this.neuralNetworkData.getImputedValues(
+      dataRaw,
+      this.options.missingValues,
+    );
+
+    if (this.isAutoencoder()) {
+      Object.entries(this.neuralNetworkData.meta.inputs).forEach(([key, { dtype }]) => {
+        if (dtype !== 'number') {
+          throw new Error(`an autoencoder reconstructs number inputs, ${key} is a ${dtype}`);
+        }
+      });
+    }
+  }
+
+  /**
+   * sets the thresholds above which the labels of a multi label
+   * output are classified. they are kept in the metadata
+   * so that they are saved and loaded with the model
+   * @param {Number | Object} thresholds - one threshold or {label: threshold}
+   */
+  setThresholds(thresholds) {
+    const { outputs } = this.neuralNetworkData.meta;
+
+    Object.keys(outputs).forEach(k => {
+      if (outputs[k].dtype !== 'multiLabel') return;
+
+      const labelThresholds = {};
+      Object.keys(outputs[k].legend).forEach(label => {
+        const previous = outputs[k].thresholds ? outputs[k].thresholds[label] : 0.5;
+        const threshold = typeof thresholds === 'number' ? thresholds : (thresholds || {})[label];
+        labelThresholds[label] = threshold === undefined ? previous : threshold;
+      });
+      outputs[k].thresholds = labelThresholds;
+    });
   }
 
   /**
@@ -266,12 +668,70 @@ class DiyNeuralNetwork {
    * ////////////////////////////////////////////////////////////
    */
 
+  /**
+   * returns a report of the rows and columns with missing values
+   * {count, rows: [rowIndex], columns: {label: [rowIndex]}}
+   * @param {*} _dataRaw
+   */
+  validateData(_dataRaw = null) {
+    const dataRaw = _dataRaw === null ? this.neuralNetworkData.data.raw : _dataRaw;
+    return this.neuralNetworkData.getMissingValuesReport(dataRaw);
+  }
+
+  /**
+   * applies the missingValues policy to a copy of the data. without a policy
+   * the missing values are reported in a warning, since they may turn the
+   * loss into NaN, and with missingValues: 'error' they throw an error.
+   * the data itself is never changed, so data.raw keeps the collected data
+   * @param {*} dataRaw
+   * @param {*} imputedValues - {label: value}, the values to impute instead of those of dataRaw
+   */
+  handleMissingValues(dataRaw, imputedValues = {}) {
+    const { missingValues } = this.options;
+    const report = this.validateData(dataRaw);
+    if (report.count === 0) {
+      return dataRaw;
+    }
+
+    if (missingValues === null || missingValues === 'error') {
+      const columns = Object.entries(report.columns)
+        .map(([k, rows]) => {
+          const listedRows = rows.length > 10 ? [...rows.slice(0, 10), '...'] : rows;
+          return `${k} (rows ${listedRows.join(', ')})`;
+        })
+        .join(', ');
+      const message = `${report.count} missing values found in ${columns}. Set the missingValues option to 'drop', 'mean', 'median', 'mode' or {constant: value}`;
+      if (missingValues === 'error') {
+        throw new Error(message);
+      }
+      // the data are checked several times while training, warn once
+      if (message !== this.missingValuesWarning) {
+        console.warn(message, report);
+        this.missingValuesWarning = message;
+      }
+      return dataRaw;
+    }
+
+    return this.neuralNetworkData.handleMissingValues(dataRaw, missingValues, imputedValues);
+  }
+
+  /**
+   * returns data.raw with the missingValues policy applied. this copy
+   * is what the model is trained on, data.training is row aligned with it
+   */
+  getTrainingDataRaw() {
+    const dataRaw = this.neuralNetworkData.data.raw;
+    return this.options.missingValues === null ? dataRaw : this.handleMissingValues(dataRaw);
+  }
+
   /**
    * Prepare data for training by applying oneHot to raw
    * @param {*} dataRaw
    */
   prepareForTraining(_dataRaw = null) {
-    const dataRaw = _dataRaw === null ? this.neuralNetworkData.data.raw : _dataRaw;
+    const dataRaw = this.handleMissingValues(
+      _dataRaw === null ? this.neuralNetworkData.data.raw : _dataRaw,
+    );
     const unnormalizedTrainingData = this.neuralNetworkData.applyOneHotEncodingsToDataRaw(dataRaw);
     this.data.training = unnormalizedTrainingData;
     this.neuralNetworkData.isWarmedUp = true;
@@ -285,7 +745,9 @@ class DiyNeuralNetwork {
    * @param {*} _meta
    */
   normalizeData(_dataRaw = null) {
-    const dataRaw = _dataRaw === null ? this.neuralNetworkData.data.raw : _dataRaw;
+    const dataRaw = this.handleMissingValues(
+      _dataRaw === null ? this.neuralNetworkData.data.raw : _dataRaw,
+    );
 
     if (!this.neuralNetworkData.isMetadataReady) {
       // if the inputs are defined as an array of [img_width, img_height, channels]
@@ -316,8 +778,7 @@ class DiyNeuralNetwork {
   // eslint-disable-next-line class-methods-use-this
   normalizeInput(value, _key, _meta) {
     const key = _key;
-    const { min, max } = _meta[key];
-    return nnUtils.normalizeValue(value, min, max);
+    return nnUtils.normalizeValueByMethod(value, _meta[key]);
   }
 
   /**
@@ -340,23 +801,26 @@ class DiyNeuralNetwork {
   }
 
   /**
-   * Returns either the original input or a pixelArray[]
+   * Returns either the original input or a pixelArray[].
+   * Images are resized to the image shape of the model
    * @param {*} input
    */
-  // eslint-disable-next-line class-methods-use-this
   formatInputItem(input) {
     let imgToPredict;
     let formattedInputs;
     if (isInstanceOfSupportedElement(input)) {
       imgToPredict = input;
-    } else if (typeof input === 'object' && isInstanceOfSupportedElement(input.elt)) {
+    } else if (input instanceof Object && isInstanceOfSupportedElement(input.elt)) {
       imgToPredict = input.elt; // Handle p5.js image and video.
-    } else if (typeof input === 'object' && isInstanceOfSupportedElement(input.canvas)) {
+    } else if (input instanceof Object && isInstanceOfSupportedElement(input.canvas)) {
       imgToPredict = input.canvas; // Handle p5.js image and video.
     }
 
     if (imgToPredict) {
-      formattedInputs = imgToPixelArray(imgToPredict);
+      formattedInputs = imgToPixelArray(imgToPredict, {
+        ...this.getImageShape(),
+        fit: this.options.imageFit,
+      });
     } else {
       formattedInputs = input;
     }
@@ -364,6 +828,32 @@ class DiyNeuralNetwork {
     return formattedInputs;
   }
 
+  /**
+   * Returns the {width, height, channels} images are resized to, from
+   * the input shape of the model or the options.inputs: [width, height, channels]
+   * of an imageClassification task. Returns {} if there is no image shape
+   */
+  getImageShape() {
+    const { inputUnits } = this.neuralNetworkData.meta;
+    let shape;
+    if (Array.isArray(inputUnits) && inputUnits.length === 3) {
+      shape = inputUnits;
+    } else if (
+      this.options.task === 'imageClassification' &&
+      Array.isArray(this.options.inputs) &&
+      this.options.inputs.length === 3 &&
+      this.options.inputs.every(item => typeof item === 'number')
+    ) {
+      shape = this.options.inputs;
+    }
+
+    if (!shape) {
+      return {};
+    }
+    const [width, height, channels] = shape;
+    return { width, height, channels };
+  }
+
   /**
    * convertTrainingDataToTensors
    * @param {*} _trainingData
@@ -388,17 +878,24 @@ class DiyNeuralNetwork {
   formatInputsForPrediction(_input, meta, inputHeaders) {
     let inputData = [];
 
+    // missing inputs get the values imputed into the training data
+    const imputedValues = meta.imputedValues || {};
+    const impute = (value, prop) =>
+      nnUtils.isMissingValue(value) && imputedValues[prop] !== undefined
+        ? imputedValues[prop]
+        : value;
+
     // TODO: check to see if it is a nested array
     // to run predict or classify on a batch of data
 
     if (_input instanceof Array) {
       inputData = inputHeaders.map((prop, idx) => {
-        return this.isOneHotEncodedOrNormalized(_input[idx], prop, meta.inputs);
+        return this.isOneHotEncodedOrNormalized(impute(_input[idx], prop), prop, meta.inputs);
       });
     } else if (_input instanceof Object) {
       // TODO: make sure that the input order is preserved!
       inputData = inputHeaders.map(prop => {
-        return this.isOneHotEncodedOrNormalized(_input[prop], prop, meta.inputs);
+        return this.isOneHotEncodedOrNormalized(impute(_input[prop], prop), prop, meta.inputs);
       });
     }
 
@@ -433,6 +930,78 @@ class DiyNeuralNetwork {
     return tf.tensor([output]);
   }
 
+  /**
+   * formats the input as a tensor for the model: images are
+   * flattened and normalized, other inputs are onehot encoded
+   * and normalized by formatInputsForPredictionAll()
+   * @param {*} _input
+   * @param {*} meta
+   */
+  formatInputsForModel(_input, meta) {
+    const headers = Object.keys(meta.inputs);
+
+    if (this.isSequenceTask()) {
+      return this.formatSequencesForPrediction(_input, meta);
+    }
+
+    if (this.options.task !== 'imageClassification') {
+      return this.formatInputsForPredictionAll(_input, meta, headers);
+    }
+
+    // get the inputData for classification
+    // if it is a image type format it and
+    // flatten it
+    let inputData = this.searchAndFormat(_input);
+    if (Array.isArray(inputData)) {
+      inputData = inputData.flat();
+    } else {
+      inputData = inputData[headers[0]];
+    }
+
+    if (meta.isNormalized) {
+      // TODO: check to make sure this property is not static!!!!
+      inputData = this.neuralNetworkData.normalizeArray(
+        Array.from(inputData),
+        meta.inputs[headers[0]],
+      );
+    } else {
+      inputData = Array.from(inputData);
+    }
+
+    return tf.tensor([inputData], [1, ...meta.inputUnits]);
+  }
+
+  /**
+   * resizes and normalizes one sequence of frames, or an array of
+   * them, like the training data and returns them as a tensor
+   * shaped [sequences, frames, features]
+   * @param {*} _input
+   * @param {*} meta
+   */
+  formatSequencesForPrediction(_input, meta) {
+    // an array of sequences has arrays of frames as items
+    const isBatch = Array.isArray(_input[0]) && typeof _input[0][0] === 'object';
+    // frames given as arrays are named like the features the model was trained on
+    const inputLabels = Object.keys(meta.inputs);
+    const sequences = (isBatch ? _input : [_input]).map(frames =>
+      this.formatSequence(frames, inputLabels),
+    );
+
+    const inputData = sequences.map(sequence => {
+      const features = Object.keys(meta.inputs).map(k => {
+        const { sequenceLength, resize } = meta.inputs[k];
+        const values = this.neuralNetworkData.resizeSequence(sequence[k], sequenceLength, resize);
+        return meta.isNormalized
+          ? values.map(v => nnUtils.normalizeValueByMethod(v, meta.inputs[k]))
+          : values;
+      });
+      // order the values by frame, then by feature
+      return features[0].map((v, frame) => features.map(feature => feature[frame]));
+    });
+
+    return tf.tensor(inputData);
+  }
+
   /**
    * check if the input needs to be onehot encoded or
    * normalized
@@ -445,7 +1014,10 @@ class DiyNeuralNetwork {
     const key = _key;
 
     let output;
-    if (typeof _input !== 'number') {
+    if (_meta[key].vocabulary) {
+      // values which were not in the training data share the index 0
+      output = this.neuralNetworkData.lookupVocabulary(input, _meta[key].vocabulary);
+    } else if (typeof _input !== 'number') {
       output = _meta[key].legend[input];
     } else {
       output = _input;
@@ -494,13 +1066,17 @@ class DiyNeuralNetwork {
       options = {};
       whileTrainingCb = optionsOrCallback;
       finishedTrainingCb = optionsOrWhileTraining;
+    } else if (typeof optionsOrCallback === 'object') {
+      options = optionsOrCallback;
+      whileTrainingCb = null;
+      finishedTrainingCb = null;
     } else {
       options = {};
       whileTrainingCb = null;
       finishedTrainingCb = optionsOrCallback;
     }
 
-    this.trainInternal(options, whileTrainingCb, finishedTrainingCb);
+    return this.trainInternal(options, whileTrainingCb, finishedTrainingCb);
   }
 
   /**
@@ -514,8 +1090,23 @@ class DiyNeuralNetwork {
       batchSize: 32,
       validationSplit: 0.1,
       whileTraining: null,
+      initialEpoch: this.checkpointEpoch,
+      checkpoint: null,
       ..._options,
     };
+    // a restored checkpoint only sets the starting epoch once
+    this.checkpointEpoch = 0;
+
+    // randomized variants of the images are created while training
+    if (this.options.augmentation) {
+      if (this.options.task !== 'imageClassification') {
+        throw new Error("augmentation is only supported for task: 'imageClassification'");
+      }
+      options.augmentation = this.options.augmentation;
+    }
+    // the models of an ensemble are retrained after the model is
+    this.lastTrainingOptions = { epochs: options.epochs, batchSize: options.batchSize };
+    this.disposeEnsemble();
 
     // if debug mode is true, then use tf vis
     if (this.options.debug === true || this.options.debug === 'true') {
@@ -542,21 +1133,97 @@ class DiyNeuralNetwork {
       ];
     }
 
+    // save the weights and metadata every few epochs
+    // so that an interrupted training can be continued
+    if (options.checkpoint) {
+      const { name, every } = {
+        name: 'model',
+        every: 1,
+        ...(typeof options.checkpoint === 'string' ? { name: options.checkpoint } : options.checkpoint),
+      };
+      options.whileTraining.push({
+        onEpochEnd: async epoch => {
+          if ((epoch + 1) % every === 0) {
+            await this.saveCheckpoint(name, epoch + 1);
+          }
+        },
+      });
+    }
+
     // if metadata needs to be generated about the data
     if (!this.neuralNetworkData.isMetadataReady) {
       // if the inputs are defined as an array of [img_width, img_height, channels]
-      this.createMetaData(this.neuralNetworkData.data.raw);
+      this.createMetaData(this.getTrainingDataRaw());
     }
 
     // if the data still need to be summarized, onehotencoded, etc
+    // data added to a model with normalized metadata, e.g. after
+    // loading a checkpoint, is normalized the same way
     if (!this.neuralNetworkData.isWarmedUp) {
-      this.prepareForTraining(this.neuralNetworkData.data.raw);
+      if (this.neuralNetworkData.meta.isNormalized) {
+        this.normalizeData(this.neuralNetworkData.data.raw);
+      } else {
+        this.prepareForTraining(this.neuralNetworkData.data.raw);
+      }
+    }
+
+    // the rows the model is trained on, which data.training is row aligned with
+    const trainingDataRaw = this.getTrainingDataRaw();
+
+    // weigh the loss of each class, computed from the onehot legend
+    if (options.classWeights) {
+      const classWeight = this.neuralNetworkData.getClassWeights(
+        trainingDataRaw,
+        options.classWeights,
+      );
+      // models with several output layers weigh the output layer of the class labels
+      const { label } = this.neuralNetworkData.getClassOutput();
+      const { outputLayers = {} } = this.neuralNetworkData.meta;
+      // models saved before the output layers were named by index are named by label
+      options.classWeight = this.neuralNetworkData.isMultiHead()
+        ? { [outputLayers[label] || label]: classWeight }
+        : classWeight;
     }
 
     // if inputs and outputs are not specified
     // in the options, then create the tensors
     // from the this.neuralNetworkData.data.raws
-    if (!options.inputs && !options.outputs) {
+    const isStratified = options.stratify && options.validationSplit > 0;
+    if (!options.inputs && !options.outputs && (isStratified || options.resample)) {
+      // hold out a validation set with the same class proportions as the
+      // data rather than the last rows of it. data.training is row
+      // aligned with trainingDataRaw, so its labels select the training rows.
+      // resampled data is always split first so that the repeated
+      // rows of the training set never end up in the validation set
+      const { training, validation } =
+        options.validationSplit > 0
+          ? this.neuralNetworkData.getSplitIndices(trainingDataRaw, {
+              validationSplit: options.validationSplit,
+            })
+          : { training: this.data.training.map((row, idx) => idx), validation: [] };
+      const trainingIndices = options.resample
+        ? this.neuralNetworkData.resampleIndices(
+            trainingDataRaw,
+            training,
+            options.resample,
+          )
+        : training;
+
+      const trainingTensors = this.convertTrainingDataToTensors(
+        trainingIndices.map(idx => this.data.training[idx]),
+      );
+      options.inputs = trainingTensors.inputs;
+      options.outputs = trainingTensors.outputs;
+      options.validationSplit = 0;
+
+      // classes that are too small to be split stay in the training set
+      if (validation.length > 0) {
+        const validationTensors = this.convertTrainingDataToTensors(
+          validation.map(idx => this.data.training[idx]),
+        );
+        options.validationData = [validationTensors.inputs, validationTensors.outputs];
+      }
+    } else if (!options.inputs && !options.outputs) {
       const { inputs, outputs } = this.convertTrainingDataToTensors();
       options.inputs = inputs;
       options.outputs = outputs;
@@ -583,7 +1250,99 @@ class DiyNeuralNetwork {
     }
 
     // train once the model is compiled
-    this.neuralNetwork.train(options, finishedTrainingCb);
+    return this.neuralNetwork.train(options, finishedTrainingCb);
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////////
+   * Training control
+   * ////////////////////////////////////////////////////////////
+   */
+
+  /**
+   * pauses the training after the current batch
+   */
+  pauseTraining() {
+    this.neuralNetwork.pauseTraining();
+  }
+
+  /**
+   * resumes a paused training
+   */
+  resumeTraining() {
+    this.neuralNetwork.resumeTraining();
+  }
+
+  /**
+   * stops the training after the current batch
+   * the finished training callback is called as usual
+   */
+  stopTraining() {
+    this.neuralNetwork.stopTraining();
+  }
+
+  /**
+   * saves the weights to IndexedDB along with
+   * the metadata and the number of completed epochs
+   * @param {*} name
+   * @param {*} epoch
+   */
+  async saveCheckpoint(name, epoch) {
+    const key = `${CHECKPOINT_PREFIX}${name}`;
+    await this.neuralNetwork.model.save(`indexeddb://${key}`);
+    await saveToIndexedDB(key, {
+      meta: this.neuralNetworkData.meta,
+      epoch,
+      savedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * loads the last checkpoint of a training.
+   * calling .train() afterwards continues from the last
+   * completed epoch once the training data has been added
+   * @param {*} name
+   * @param {*} callback
+   */
+  loadCheckpoint(name = 'model', callback) {
+    return callCallback(this.loadCheckpointInternal(name), callback);
+  }
+
+  /**
+   * loadCheckpointInternal
+   * @param {*} name
+   */
+  async loadCheckpointInternal(name) {
+    const key = `${CHECKPOINT_PREFIX}${name}`;
+    const checkpoint = await loadFromIndexedDB(key);
+
+    if (!checkpoint) {
+      throw new Error(`there is no checkpoint called "${name}"`);
+    }
+
+    await this.neuralNetwork.load(`indexeddb://${key}`);
+
+    this.neuralNetworkData.meta = checkpoint.meta;
+    this.neuralNetworkData.isMetadataReady = true;
+    // the training data still have to be formatted
+    this.neuralNetworkData.isWarmedUp = false;
+    this.checkpointEpoch = checkpoint.epoch;
+
+    return {
+      epoch: checkpoint.epoch,
+      savedAt: checkpoint.savedAt,
+    };
+  }
+
+  /**
+   * removes a checkpoint from IndexedDB
+   * @param {*} name
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async deleteCheckpoint(name = 'model') {
+    const key = `${CHECKPOINT_PREFIX}${name}`;
+    await tf.io.removeModel(`indexeddb://${key}`);
+    await deleteFromIndexedDB(key);
   }
 
   /**
@@ -607,6 +1366,54 @@ class DiyNeuralNetwork {
       return false;
     }
 
+    // embedded inputs are looked up before the layers
+    const embeddingLayers = this.createEmbeddingLayers(meta);
+
+    // models with several outputs where one is a class label share all
+    // but the last layer, which is replaced by an output layer for each output
+    if (this.neuralNetworkData.isMultiHead(meta)) {
+      const lastLayer = layers[layersLength - 1];
+      const heads = this.getOutputHeads(meta);
+      // the output layers are named by index, since tf.js only takes some
+      // characters in layer names. the name of the layer of each output is kept
+      this.neuralNetworkData.meta.outputLayers = heads.reduce(
+        (names, { label, name }) => ({ ...names, [label]: name }),
+        {},
+      );
+      this.neuralNetwork.createModel('functional', {
+        inputShape: inputUnits,
+        layers: this.formatLayerGraph([...embeddingLayers, ...layers.slice(0, -1)], meta),
+        outputLayers: heads.map(({ name, units, activation }) => {
+          return {
+            ...lastLayer,
+            name,
+            units,
+            activation,
+          };
+        }),
+      });
+
+      return layers;
+    }
+
+    // layers with inputs describe a graph, e.g. with skip connections.
+    // models with embedded inputs are graphs as well
+    if (this.isLayerGraph(layers) || embeddingLayers.length > 0) {
+      const lastLayer = layers[layersLength - 1];
+      this.neuralNetwork.createModel('functional', {
+        inputShape: inputUnits,
+        layers: this.formatLayerGraph([...embeddingLayers, ...layers.slice(0, -1)], meta),
+        outputLayers: [
+          {
+            ...lastLayer,
+            units: lastLayer.units ? lastLayer.units : outputUnits,
+          },
+        ],
+      });
+
+      return layers;
+    }
+
     // set the inputShape
     layers[0].inputShape = layers[0].inputShape ? layers[0].inputShape : inputUnits;
     // set the output units
@@ -621,22 +1428,121 @@ class DiyNeuralNetwork {
     return layers;
   }
 
-  // /**
-  //  * createDenseLayer
-  //  * @param {*} _options
-  //  */
-  // // eslint-disable-next-line class-methods-use-this
-  // createDenseLayer(_options) {
-  //   const options = Object.assign({}, {
-  //     units: this.options.hiddenUnits,
-  //     activation: 'relu',
-  //     ..._options
-  //   });
-  //   return tf.layers.dense(options);
-  // }
-
-  // /**
-  //  * createConv2dLayer
+  /**
+   * checks whether the layers describe a graph rather than a stack,
+   * which is the case if any layer names its inputs or is an input node
+   * @param {*} layers
+   */
+  // eslint-disable-next-line class-methods-use-this
+  isLayerGraph(layers) {
+    return layers.some(layer => layer.inputs !== undefined || layer.type === 'input');
+  }
+
+  /**
+   * replaces the columns of the input nodes of a layer graph, e.g.
+   * {type: 'input', name: 'position', columns: ['x', 'y']},
+   * by the indices of their units in the onehot encoded inputs
+   * @param {*} layers
+   * @param {*} meta
+   */
+  // eslint-disable-next-line class-methods-use-this
+  formatLayerGraph(layers, meta) {
+    // the indices of the units of each input column
+    const unitIndices = {};
+    let start = 0;
+    Object.entries(meta.inputs).forEach(([label, inputMeta]) => {
+      const units = inputMeta.legend ? Object.keys(inputMeta.legend).length : 1;
+      unitIndices[label] = [...new Array(units)].map((v, idx) => start + idx);
+      start += units;
+    });
+
+    return layers.map(layer => {
+      if (layer.type !== 'input' || layer.columns === undefined) {
+        return layer;
+      }
+
+      const { columns, ...inputNode } = layer;
+      const indices = [].concat(columns).map(column => {
+        if (!unitIndices[column] || !['number', 'string'].includes(meta.inputs[column].dtype)) {
+          throw new Error(`${column} is not a number or string input that an input node can select`);
+        }
+        return unitIndices[column];
+      });
+
+      return {
+        ...inputNode,
+        indices: indices.flat(),
+      };
+    });
+  }
+
+  /**
+   * creates the input nodes of a layer graph which look up the
+   * index of each embedded input in an embedding layer and
+   * concatenate the embeddings with the other inputs. the layers are
+   * named by index, since tf.js only takes some characters in layer names,
+   * and the name of the embedding layer of each input is kept in the metadata.
+   * returns an empty array if no input is embedded
+   * @param {*} meta
+   */
+  createEmbeddingLayers(meta) {
+    const embedded = Object.keys(meta.inputs).filter(k => meta.inputs[k].vocabulary);
+    if (embedded.length === 0) {
+      return [];
+    }
+
+    const layers = [];
+    const merged = [];
+
+    const others = Object.keys(meta.inputs).filter(k => !meta.inputs[k].vocabulary);
+    if (others.length > 0) {
+      layers.push({ type: 'input', name: 'other_inputs', columns: others });
+      merged.push('other_inputs');
+    }
+
+    const embeddingLayers = {};
+    embedded.forEach((k, idx) => {
+      const { vocabulary, dims } = meta.inputs[k];
+      embeddingLayers[k] = `embedding_${idx}`;
+      layers.push(
+        { type: 'input', name: `embedding_index_${idx}`, columns: [k] },
+        {
+          type: 'embedding',
+          name: embeddingLayers[k],
+          // one more for the out of vocabulary index 0
+          inputDim: Object.keys(vocabulary).length + 1,
+          outputDim: dims,
+          inputLength: 1,
+        },
+        { type: 'flatten', name: `embedding_flatten_${idx}` },
+      );
+      merged.push(`embedding_flatten_${idx}`);
+    });
+    this.neuralNetworkData.meta.embeddingLayers = embeddingLayers;
+
+    if (merged.length > 1) {
+      layers.push({ type: 'concatenate', name: 'embedded_inputs', inputs: merged });
+    }
+
+    return layers;
+  }
+
+  // /**
+  //  * createDenseLayer
+  //  * @param {*} _options
+  //  */
+  // // eslint-disable-next-line class-methods-use-this
+  // createDenseLayer(_options) {
+  //   const options = Object.assign({}, {
+  //     units: this.options.hiddenUnits,
+  //     activation: 'relu',
+  //     ..._options
+  //   });
+  //   return tf.layers.dense(options);
+  // }
+
+  // /**
+  //  * createConv2dLayer
   //  * @param {*} _options
   //  */
   // // eslint-disable-next-line class-methods-use-this
@@ -659,6 +1565,13 @@ class DiyNeuralNetwork {
    */
   addDefaultLayers(task, meta) {
     let layers;
+    // zscore, robust and unnormalized outputs are not within 0 - 1
+    const regressionActivation = Object.values(meta.outputs).every(
+      item => !['zscore', 'robust', 'none'].includes(item.normalization),
+    )
+      ? 'sigmoid'
+      : 'linear';
+
     switch (task.toLowerCase()) {
       // if the task is classification
       case 'classification':
@@ -674,6 +1587,22 @@ class DiyNeuralNetwork {
           },
         ];
 
+        return this.createNetworkLayers(layers, meta);
+      // if the task is multiLabelClassification
+      // each label is a yes or no decision of its own
+      case 'multilabelclassification':
+        layers = [
+          {
+            type: 'dense',
+            units: this.options.hiddenUnits,
+            activation: 'relu',
+          },
+          {
+            type: 'dense',
+            activation: 'sigmoid',
+          },
+        ];
+
         return this.createNetworkLayers(layers, meta);
       // if the task is regression
       case 'regression':
@@ -685,7 +1614,56 @@ class DiyNeuralNetwork {
           },
           {
             type: 'dense',
-            activation: 'sigmoid',
+            activation: regressionActivation,
+          },
+        ];
+        return this.createNetworkLayers(layers, meta);
+      // if the task is autoencoder the inputs are squeezed
+      // through a bottleneck of latentDims units and reconstructed
+      case 'autoencoder':
+        layers = [
+          {
+            type: 'dense',
+            units: this.options.hiddenUnits,
+            activation: 'relu',
+          },
+          {
+            type: 'dense',
+            units: this.options.latentDims,
+            activation: 'linear',
+            name: BOTTLENECK_LAYER,
+          },
+          {
+            type: 'dense',
+            units: this.options.hiddenUnits,
+            activation: 'relu',
+          },
+          {
+            type: 'dense',
+            activation: regressionActivation,
+          },
+        ];
+        return this.createNetworkLayers(layers, meta);
+      // if the task is sequenceClassification or sequenceRegression
+      // a 1d convolution finds patterns across neighbouring frames
+      // and a recurrent layer summarizes them over the whole sequence
+      case 'sequenceclassification':
+      case 'sequenceregression':
+        layers = [
+          {
+            type: 'conv1d',
+            filters: this.options.hiddenUnits,
+            kernelSize: 3,
+            padding: 'same',
+            activation: 'relu',
+          },
+          {
+            type: 'lstm',
+            units: this.options.hiddenUnits,
+          },
+          {
+            type: 'dense',
+            activation: task === 'sequenceClassification' ? 'softmax' : regressionActivation,
           },
         ];
         return this.createNetworkLayers(layers, meta);
@@ -746,6 +1724,49 @@ class DiyNeuralNetwork {
     }
   }
 
+  /**
+   * returns the name, units, activation and loss of the output layer of each output
+   * @param {*} meta
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getOutputHeads(meta) {
+    return Object.entries(meta.outputs).map(([label, outputMeta], idx) => {
+      const { dtype, legend, normalization } = outputMeta;
+      const name = `output_${idx}`;
+
+      if (dtype === 'string') {
+        return {
+          label,
+          name,
+          units: Object.keys(legend).length,
+          activation: 'softmax',
+          loss: 'categoricalCrossentropy',
+        };
+      }
+      if (dtype === 'multiLabel') {
+        return {
+          label,
+          name,
+          units: Object.keys(legend).length,
+          activation: 'sigmoid',
+          loss: 'binaryCrossentropy',
+        };
+      }
+      if (dtype === 'number') {
+        return {
+          label,
+          name,
+          units: 1,
+          // zscore, robust and unnormalized outputs are not within 0 - 1
+          activation: ['zscore', 'robust', 'none'].includes(normalization) ? 'linear' : 'sigmoid',
+          loss: 'meanSquaredError',
+        };
+      }
+
+      throw new Error(`the output ${label} of type ${dtype} can not be combined with other outputs`);
+    });
+  }
+
   /**
    * compile the model
    * @param {*} _options
@@ -759,6 +1780,13 @@ class DiyNeuralNetwork {
       options = {
         ..._modelOptions,
       };
+    } else if (this.neuralNetworkData.isMultiHead()) {
+      // each output layer has the loss of its output type
+      options = {
+        loss: this.getOutputHeads(this.neuralNetworkData.meta).map(head => head.loss),
+        optimizer: tf.train.adam,
+        metrics: ['accuracy'],
+      };
     } else if (
       this.options.task === 'classification' ||
       this.options.task === 'imageClassification'
@@ -768,12 +1796,36 @@ class DiyNeuralNetwork {
         optimizer: tf.train.sgd,
         metrics: ['accuracy'],
       };
+    } else if (this.options.task === 'multiLabelClassification') {
+      options = {
+        loss: 'binaryCrossentropy',
+        optimizer: tf.train.sgd,
+        metrics: ['accuracy'],
+      };
     } else if (this.options.task === 'regression') {
       options = {
         loss: 'meanSquaredError',
         optimizer: tf.train.adam,
         metrics: ['accuracy'],
       };
+    } else if (this.options.task === 'autoencoder') {
+      options = {
+        loss: 'meanSquaredError',
+        optimizer: tf.train.adam,
+        metrics: ['accuracy'],
+      };
+    } else if (this.options.task === 'sequenceClassification') {
+      options = {
+        loss: 'categoricalCrossentropy',
+        optimizer: tf.train.adam,
+        metrics: ['accuracy'],
+      };
+    } else if (this.options.task === 'sequenceRegression') {
+      options = {
+        loss: 'meanSquaredError',
+        optimizer: tf.train.adam,
+        metrics: ['accuracy'],
+      };
     }
 
     options.optimizer = options.optimizer
@@ -809,11 +1861,17 @@ class DiyNeuralNetwork {
 
   /**
    * predict
+   * with {samples} in the options, returns the mean, standard deviation
+   * and confidence interval of several samples of the prediction
    * @param {*} _input
-   * @param {*} _cb
+   * @param {*} optionsOrCallback
+   * @param {*} cb
    */
-  predict(_input, _cb) {
-    return callCallback(this.predictInternal(_input), _cb);
+  predict(_input, optionsOrCallback, cb) {
+    if (typeof optionsOrCallback === 'object' && optionsOrCallback !== null) {
+      return callCallback(this.predictWithUncertainty(_input, optionsOrCallback), cb);
+    }
+    return callCallback(this.predictInternal(_input), optionsOrCallback);
   }
 
   /**
@@ -835,11 +1893,17 @@ class DiyNeuralNetwork {
 
   /**
    * classify
+   * with {samples} in the options, returns the mean, standard deviation
+   * and confidence interval of several samples of each confidence
    * @param {*} _input
-   * @param {*} _cb
+   * @param {*} optionsOrCallback
+   * @param {*} cb
    */
-  classify(_input, _cb) {
-    return callCallback(this.classifyInternal(_input), _cb);
+  classify(_input, optionsOrCallback, cb) {
+    if (typeof optionsOrCallback === 'object' && optionsOrCallback !== null) {
+      return callCallback(this.classifyWithUncertainty(_input, optionsOrCallback), cb);
+    }
+    return callCallback(this.classifyInternal(_input), optionsOrCallback);
   }
 
   /**
@@ -858,9 +1922,13 @@ class DiyNeuralNetwork {
    */
   predictSyncInternal(_input) {
     const { meta } = this.neuralNetworkData;
-    const headers = Object.keys(meta.inputs);
 
-    const inputData = this.formatInputsForPredictionAll(_input, meta, headers);
+    // models with an output layer for each output return a result for each output
+    if (this.neuralNetworkData.isMultiHead()) {
+      return this.predictAllSyncInternal(_input);
+    }
+
+    const inputData = this.formatInputsForModel(_input, meta);
 
     const unformattedResults = this.neuralNetwork.predictSync(inputData);
     inputData.dispose();
@@ -876,8 +1944,7 @@ class DiyNeuralNetwork {
           let val;
           let unNormalized;
           if (meta.isNormalized) {
-            const { min, max } = meta.outputs[item];
-            val = nnUtils.unnormalizeValue(unformattedResult[idx], min, max);
+            val = nnUtils.unnormalizeValueByMethod(unformattedResult[idx], meta.outputs[item]);
             unNormalized = unformattedResult[idx];
           } else {
             val = unformattedResult[idx];
@@ -918,9 +1985,13 @@ class DiyNeuralNetwork {
    */
   async predictInternal(_input) {
     const { meta } = this.neuralNetworkData;
-    const headers = Object.keys(meta.inputs);
 
-    const inputData = this.formatInputsForPredictionAll(_input, meta, headers);
+    // models with an output layer for each output return a result for each output
+    if (this.neuralNetworkData.isMultiHead()) {
+      return this.predictAllInternal(_input);
+    }
+
+    const inputData = this.formatInputsForModel(_input, meta);
 
     const unformattedResults = await this.neuralNetwork.predict(inputData);
     inputData.dispose();
@@ -936,8 +2007,7 @@ class DiyNeuralNetwork {
           let val;
           let unNormalized;
           if (meta.isNormalized) {
-            const { min, max } = meta.outputs[item];
-            val = nnUtils.unnormalizeValue(unformattedResult[idx], min, max);
+            val = nnUtils.unnormalizeValueByMethod(unformattedResult[idx], meta.outputs[item]);
             unNormalized = unformattedResult[idx];
           } else {
             val = unformattedResult[idx];
@@ -978,39 +2048,23 @@ class DiyNeuralNetwork {
    */
   classifySyncInternal(_input) {
     const { meta } = this.neuralNetworkData;
-    const headers = Object.keys(meta.inputs);
-
-    let inputData;
-
-    if (this.options.task === 'imageClassification') {
-      // get the inputData for classification
-      // if it is a image type format it and
-      // flatten it
-      inputData = this.searchAndFormat(_input);
-      if (Array.isArray(inputData)) {
-        inputData = inputData.flat();
-      } else {
-        inputData = inputData[headers[0]];
-      }
-
-      if (meta.isNormalized) {
-        // TODO: check to make sure this property is not static!!!!
-        const { min, max } = meta.inputs[headers[0]];
-        inputData = this.neuralNetworkData.normalizeArray(Array.from(inputData), { min, max });
-      } else {
-        inputData = Array.from(inputData);
-      }
 
-      inputData = tf.tensor([inputData], [1, ...meta.inputUnits]);
-    } else {
-      inputData = this.formatInputsForPredictionAll(_input, meta, headers);
+    // models with an output layer for each output return a result for each output
+    if (this.neuralNetworkData.isMultiHead()) {
+      return this.predictAllSyncInternal(_input);
     }
 
+    const inputData = this.formatInputsForModel(_input, meta);
+
     const unformattedResults = this.neuralNetwork.classifySync(inputData);
     inputData.dispose();
 
     if (meta !== null) {
       const label = Object.keys(meta.outputs)[0];
+      // multi label outputs return every label above its threshold
+      if (meta.outputs[label].dtype === 'multiLabel') {
+        return this.formatMultiLabelResults(unformattedResults, meta.outputs[label]);
+      }
       const vals = Object.entries(meta.outputs[label].legend);
 
       const formattedResults = unformattedResults.map(unformattedResult => {
@@ -1043,39 +2097,23 @@ class DiyNeuralNetwork {
    */
   async classifyInternal(_input) {
     const { meta } = this.neuralNetworkData;
-    const headers = Object.keys(meta.inputs);
-
-    let inputData;
-
-    if (this.options.task === 'imageClassification') {
-      // get the inputData for classification
-      // if it is a image type format it and
-      // flatten it
-      inputData = this.searchAndFormat(_input);
-      if (Array.isArray(inputData)) {
-        inputData = inputData.flat();
-      } else {
-        inputData = inputData[headers[0]];
-      }
-
-      if (meta.isNormalized) {
-        // TODO: check to make sure this property is not static!!!!
-        const { min, max } = meta.inputs[headers[0]];
-        inputData = this.neuralNetworkData.normalizeArray(Array.from(inputData), { min, max });
-      } else {
-        inputData = Array.from(inputData);
-      }
 
-      inputData = tf.tensor([inputData], [1, ...meta.inputUnits]);
-    } else {
-      inputData = this.formatInputsForPredictionAll(_input, meta, headers);
+    // models with an output layer for each output return a result for each output
+    if (this.neuralNetworkData.isMultiHead()) {
+      return this.predictAllInternal(_input);
     }
 
+    const inputData = this.formatInputsForModel(_input, meta);
+
     const unformattedResults = await this.neuralNetwork.classify(inputData);
     inputData.dispose();
 
     if (meta !== null) {
       const label = Object.keys(meta.outputs)[0];
+      // multi label outputs return every label above its threshold
+      if (meta.outputs[label].dtype === 'multiLabel') {
+        return this.formatMultiLabelResults(unformattedResults, meta.outputs[label]);
+      }
       const vals = Object.entries(meta.outputs[label].legend);
 
       const formattedResults = unformattedResults.map(unformattedResult => {
@@ -1103,77 +2141,1308 @@ class DiyNeuralNetwork {
 
   /**
    * ////////////////////////////////////////////////////////////
-   * Save / Load Data
+   * Uncertainty
    * ////////////////////////////////////////////////////////////
    */
 
   /**
-   * save data
-   * @param {*} name
+   * returns the mean, standard deviation and confidence interval
+   * of each output over several samples of the prediction
+   * @param {*} _input
+   * @param {*} _options - {samples, method, confidence}
    */
-  saveData(name) {
-    this.neuralNetworkData.saveData(name);
-  }
+  async predictWithUncertainty(_input, _options) {
+    const { meta } = this.neuralNetworkData;
+    const labels = Object.keys(meta.outputs);
+    const { samples, confidence } = await this.sampleOutputs(_input, _options);
+
+    const formattedResults = samples[0].map((row, rowIdx) => {
+      return labels.map((label, idx) => {
+        const values = samples.map(sample => sample[rowIdx][idx]);
+        // every sample is unnormalized before the statistics are computed
+        const unnormalized = meta.isNormalized
+          ? this.neuralNetworkData.unnormalizeArray(values, meta.outputs[label])
+          : values;
+        const stats = this.getSampleStats(unnormalized, confidence);
+
+        return {
+          [label]: stats.mean,
+          label,
+          value: stats.mean,
+          ...stats,
+        };
+      });
+    });
 
-  /**
-   * load data
-   * @param {*} filesOrPath
-   * @param {*} callback
-   */
-  async loadData(filesOrPath = null, callback) {
-    this.neuralNetworkData.loadData(filesOrPath, callback);
+    // return single array if the length is less than 2,
+    // otherwise return array of arrays
+    if (formattedResults.length < 2) {
+      return formattedResults[0];
+    }
+    return formattedResults;
   }
 
   /**
-   * ////////////////////////////////////////////////////////////
-   * Save / Load Model
-   * ////////////////////////////////////////////////////////////
+   * returns the mean, standard deviation and confidence interval
+   * of the confidence of each label over several samples
+   * @param {*} _input
+   * @param {*} _options - {samples, method, confidence}
    */
+  async classifyWithUncertainty(_input, _options) {
+    const { meta } = this.neuralNetworkData;
+    const label = Object.keys(meta.outputs)[0];
+    const vals = Object.keys(meta.outputs[label].legend);
+    const { samples, confidence } = await this.sampleOutputs(_input, _options);
+
+    const formattedResults = samples[0].map((row, rowIdx) => {
+      return vals
+        .map((item, idx) => {
+          const stats = this.getSampleStats(
+            samples.map(sample => sample[rowIdx][idx]),
+            confidence,
+          );
+          return {
+            [item]: stats.mean,
+            label: item,
+            confidence: stats.mean,
+            ...stats,
+          };
+        })
+        .sort((a, b) => b.confidence - a.confidence);
+    });
+
+    // return single array if the length is less than 2,
+    // otherwise return array of arrays
+    if (formattedResults.length < 2) {
+      return formattedResults[0];
+    }
+    return formattedResults;
+  }
 
   /**
-   * saves the model, weights, and metadata
-   * @param {*} nameOrCb
-   * @param {*} cb
+   * returns the outputs of the model for each sample, [sample][row][unit].
+   * with the method 'dropout' the dropout layers stay switched on while
+   * predicting, with 'ensemble' each model of an ensemble is one sample.
+   * without a method, models which can not be sampled with dropout use an ensemble
+   * @param {*} _input
+   * @param {*} _options - {samples, method, confidence}
    */
-  save(nameOrCb, cb) {
-    let modelName;
-    let callback;
+  async sampleOutputs(_input, _options) {
+    const { model } = this.neuralNetwork;
+    const canSampleDropout =
+      model.getClassName() === 'Sequential' &&
+      model.layers.some(layer => layer.getClassName() === 'Dropout');
+    const method = (_options && _options.method) || (canSampleDropout ? 'dropout' : 'ensemble');
+    const options = {
+      samples: method === 'ensemble' ? ENSEMBLE_SIZE : DROPOUT_SAMPLES,
+      confidence: 0.95,
+      ..._options,
+      method,
+    };
+    const { meta } = this.neuralNetworkData;
 
-    if (typeof nameOrCb === 'function') {
-      modelName = 'model';
-      callback = nameOrCb;
-    } else if (typeof nameOrCb === 'string') {
-      modelName = nameOrCb;
+    if (this.neuralNetworkData.isMultiHead()) {
+      throw new Error('uncertainty estimates are not supported for models with several output layers');
+    }
+    if (!Number.isInteger(options.samples) || options.samples < 2) {
+      throw new Error('samples must be a whole number of at least 2');
+    }
 
-      if (typeof cb === 'function') {
-        callback = cb;
+    // each sampler returns the output of one sample
+    let samplers;
+    if (options.method === 'dropout') {
+      if (!model.layers.some(layer => layer.getClassName() === 'Dropout')) {
+        throw new Error(
+          "the model has no dropout layers to sample from. Add a dropout layer or use method: 'ensemble'",
+        );
       }
+      // a model only passes the training flag on to its layers while it is
+      // fitted, so the layers of a sequential model are applied one by one
+      if (model.getClassName() !== 'Sequential') {
+        throw new Error("dropout sampling needs a model without a layer graph, use method: 'ensemble'");
+      }
+      const sampler = inputs =>
+        model.layers.reduce((x, layer) => layer.apply(x, { training: true }), inputs);
+      samplers = [...new Array(options.samples)].map(() => sampler);
+    } else if (options.method === 'ensemble') {
+      const ensemble = await this.getEnsemble(options.samples);
+      samplers = ensemble.map(member => inputs => member.neuralNetwork.model.predict(inputs));
     } else {
-      modelName = 'model';
+      throw new Error(`${options.method} is not a sampling method. Use 'dropout' or 'ensemble'`);
     }
 
-    // save the model
-    this.neuralNetwork.save(modelName, () => {
-      this.neuralNetworkData.saveMeta(modelName, callback);
-    });
+    const inputData = this.formatInputsForModel(_input, meta);
+    const samples = await Promise.all(
+      samplers.map(async sampler => {
+        const output = tf.tidy(() => sampler(inputData));
+        const values = await output.array();
+        output.dispose();
+        return values;
+      }),
+    );
+    inputData.dispose();
+
+    return {
+      samples,
+      confidence: options.confidence,
+    };
   }
 
   /**
-   * load a model and metadata
-   * @param {*} filesOrPath
-   * @param {*} callback
+   * returns an ensemble of models, each trained from scratch on the
+   * data of this model with the epochs and batch size of its last training.
+   * the ensemble is kept until the model is trained again
+   * @param {*} size
    */
-  async load(filesOrPath = null, cb) {
-    let callback;
-    if (cb) {
-      callback = cb;
+  async getEnsemble(size) {
+    if (this.ensemble.length === size) {
+      return this.ensemble;
+    }
+    if (this.lastTrainingOptions === null || this.neuralNetworkData.data.raw.length === 0) {
+      throw new Error('an ensemble is trained on the data of the model, add data and train the model first');
+    }
+
+    this.disposeEnsemble();
+    for (let i = 0; i < size; i += 1) {
+      const member = this.createUntrainedCopy(this.neuralNetworkData.data.raw);
+      // the models are trained one after the other
+      // eslint-disable-next-line no-await-in-loop
+      await member.trainInternal({ ...this.lastTrainingOptions, validationSplit: 0 }, null, null);
+      this.ensemble.push(member);
     }
+    return this.ensemble;
+  }
+
+  /**
+   * disposes the models of the ensemble
+   */
+  disposeEnsemble() {
+    this.ensemble.forEach(member => member.dispose());
+    this.ensemble = [];
+  }
 
-    this.neuralNetwork.load(filesOrPath, () => {
-      this.neuralNetworkData.loadMeta(filesOrPath, callback);
+  /**
+   * returns the mean, standard deviation and the interval
+   * which holds the given share of the values
+   * @param {*} values
+   * @param {*} confidence - between 0 and 1
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getSampleStats(values, confidence) {
+    const tail = (1 - confidence) / 2;
+    return {
+      mean: nnUtils.getMean(values),
+      std: nnUtils.getStandardDeviation(values),
+      interval: [nnUtils.getQuantile(values, tail), nnUtils.getQuantile(values, 1 - tail)],
+    };
+  }
 
-      return this.neuralNetwork.model;
+  /**
+   * returns the labels of a multi label output which are above their
+   * threshold, sorted by their confidence
+   * @param {*} unformattedResults
+   * @param {*} outputMeta
+   */
+  // eslint-disable-next-line class-methods-use-this
+  formatMultiLabelResults(unformattedResults, outputMeta) {
+    const { legend, thresholds } = outputMeta;
+
+    const formattedResults = unformattedResults.map(unformattedResult => {
+      return Object.keys(legend)
+        .map((label, idx) => {
+          return {
+            [label]: unformattedResult[idx],
+            label,
+            confidence: unformattedResult[idx],
+          };
+        })
+        .filter(item => item.confidence >= thresholds[item.label])
+        .sort((a, b) => b.confidence - a.confidence);
     });
+
+    // return single array if the length is less than 2,
+    // otherwise return array of arrays
+    if (formattedResults.length < 2) {
+      return formattedResults[0];
+    }
+    return formattedResults;
+  }
+
+  /**
+   * synchronous predictAll
+   * @param {*} _input
+   */
+  predictAllSync(_input) {
+    return this.predictAllSyncInternal(_input);
+  }
+
+  /**
+   * returns a result for each output: the classes sorted by their
+   * confidence for class labels, the labels above their threshold
+   * for multi labels and the value for numbers
+   * @param {*} _input
+   * @param {*} _cb
+   */
+  predictAll(_input, _cb) {
+    return callCallback(this.predictAllInternal(_input), _cb);
+  }
+
+  /**
+   * synchronous predictAll internal
+   * @param {*} _input
+   */
+  predictAllSyncInternal(_input) {
+    const { meta } = this.neuralNetworkData;
+
+    const inputData = this.formatInputsForModel(_input, meta);
+    const unformattedResults = this.neuralNetwork.predictSync(inputData);
+    inputData.dispose();
+
+    return this.formatAllResults(unformattedResults, meta);
+  }
+
+  /**
+   * predictAll internal
+   * @param {*} _input
+   */
+  async predictAllInternal(_input) {
+    const { meta } = this.neuralNetworkData;
+
+    const inputData = this.formatInputsForModel(_input, meta);
+    const unformattedResults = await this.neuralNetwork.predict(inputData);
+    inputData.dispose();
+
+    return this.formatAllResults(unformattedResults, meta);
+  }
+
+  /**
+   * formats the predictions as {outputLabel: result} for each input
+   * @param {*} unformattedResults
+   * @param {*} meta
+   */
+  formatAllResults(unformattedResults, meta) {
+    const labels = Object.keys(meta.outputs);
+
+    // models with an output layer for each output already return
+    // the values by output, otherwise the values of each output
+    // are sliced from the values of the single output layer
+    let resultsByOutput = unformattedResults;
+    if (!this.neuralNetworkData.isMultiHead(meta)) {
+      let start = 0;
+      resultsByOutput = labels.map(label => {
+        const { legend } = meta.outputs[label];
+        const end = start + (legend ? Object.keys(legend).length : 1);
+        const values = unformattedResults.map(row => row.slice(start, end));
+        start = end;
+        return values;
+      });
+    }
+
+    const formattedResults = resultsByOutput[0].map((row, rowIdx) => {
+      const result = {};
+      labels.forEach((label, idx) => {
+        result[label] = this.formatOutputResult(resultsByOutput[idx][rowIdx], label, meta);
+      });
+      return result;
+    });
+
+    // return single object if the length is less than 2,
+    // otherwise return array of objects
+    if (formattedResults.length < 2) {
+      return formattedResults[0];
+    }
+    return formattedResults;
+  }
+
+  /**
+   * formats the values of one output for one input
+   * @param {*} values
+   * @param {*} label
+   * @param {*} meta
+   */
+  formatOutputResult(values, label, meta) {
+    const outputMeta = meta.outputs[label];
+
+    if (outputMeta.dtype === 'multiLabel') {
+      return this.formatMultiLabelResults([values], outputMeta);
+    }
+
+    if (outputMeta.legend) {
+      return Object.keys(outputMeta.legend)
+        .map((item, idx) => {
+          return {
+            [item]: values[idx],
+            label: item,
+            confidence: values[idx],
+          };
+        })
+        .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    if (meta.isNormalized) {
+      const val = nnUtils.unnormalizeValueByMethod(values[0], outputMeta);
+      return {
+        [label]: val,
+        label,
+        value: val,
+        unNormalizedValue: values[0],
+      };
+    }
+
+    return {
+      [label]: values[0],
+      label,
+      value: values[0],
+    };
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////////
+   * Autoencoder
+   * ////////////////////////////////////////////////////////////
+   */
+
+  /**
+   * returns the output of the bottleneck layer for the input
+   * @param {*} _input
+   * @param {*} _cb
+   */
+  encode(_input, _cb) {
+    return callCallback(this.encodeInternal(_input), _cb);
+  }
+
+  /**
+   * encodeInternal
+   * @param {*} _input
+   */
+  async encodeInternal(_input) {
+    const { meta } = this.neuralNetworkData;
+    const { model } = this.neuralNetwork;
+    const bottleneck = model.layers[this.getBottleneckIndex()];
+
+    // the encoder shares its layers and weights with the model
+    const encoder = tf.model({ inputs: model.inputs, outputs: bottleneck.output });
+    const inputData = this.formatInputsForModel(_input, meta);
+    const latent = encoder.predict(inputData);
+    const values = await latent.array();
+    tf.dispose([inputData, latent]);
+
+    // return single array if the length is less than 2,
+    // otherwise return array of arrays
+    if (values.length < 2) {
+      return values[0];
+    }
+    return values;
+  }
+
+  /**
+   * reconstructs the inputs from the output of the bottleneck layer
+   * @param {*} latent - an array of latentDims numbers, or an array of them
+   * @param {*} _cb
+   */
+  decode(latent, _cb) {
+    return callCallback(this.decodeInternal(latent), _cb);
+  }
+
+  /**
+   * decodeInternal
+   * @param {*} latent
+   */
+  async decodeInternal(latent) {
+    const { meta } = this.neuralNetworkData;
+    const { model } = this.neuralNetwork;
+    const bottleneckIndex = this.getBottleneckIndex();
+    const latentDims = model.layers[bottleneckIndex].outputShape[1];
+
+    const rows = Array.isArray(latent[0]) ? latent : [latent];
+    rows.forEach(row => {
+      if (row.length !== latentDims) {
+        throw new Error(`the bottleneck has ${latentDims} units, but ${row.length} values were given`);
+      }
+    });
+
+    // the layers after the bottleneck are the decoder
+    const output = tf.tidy(() =>
+      model.layers
+        .slice(bottleneckIndex + 1)
+        .reduce((x, layer) => layer.apply(x), tf.tensor(rows)),
+    );
+    const unformattedResults = await output.array();
+    output.dispose();
+
+    const labels = Object.keys(meta.outputs);
+    const formattedResults = unformattedResults.map(unformattedResult => {
+      return labels.map((label, idx) => {
+        const val = meta.isNormalized
+          ? nnUtils.unnormalizeValueByMethod(unformattedResult[idx], meta.outputs[label])
+          : unformattedResult[idx];
+        return {
+          [label]: val,
+          label,
+          value: val,
+        };
+      });
+    });
+
+    // return single array if the length is less than 2,
+    // otherwise return array of arrays
+    if (formattedResults.length < 2) {
+      return formattedResults[0];
+    }
+    return formattedResults;
+  }
+
+  /**
+   * returns the index of the bottleneck layer of an autoencoder. the
+   * layers of the decoder follow it, so the model can not be a layer graph
+   */
+  getBottleneckIndex() {
+    const { model } = this.neuralNetwork;
+    if (!this.isAutoencoder() || !model) {
+      throw new Error("encode() and decode() are only available for task: 'autoencoder'");
+    }
+    if (model.getClassName() !== 'Sequential') {
+      throw new Error('the layers of an autoencoder can not be a layer graph');
+    }
+
+    const index = model.layers.findIndex(layer => layer.name === BOTTLENECK_LAYER);
+    if (index === -1) {
+      throw new Error(`the autoencoder has no layer called ${BOTTLENECK_LAYER}, name one of its layers so`);
+    }
+    return index;
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////////
+   * Evaluation
+   * ////////////////////////////////////////////////////////////
+   */
+
+  /**
+   * k-fold cross validation
+   * @param {*} optionsOrCallback
+   * @param {*} callback
+   */
+  crossValidate(optionsOrCallback, callback) {
+    let options;
+    let cb;
+    if (typeof optionsOrCallback === 'function') {
+      options = {};
+      cb = optionsOrCallback;
+    } else {
+      options = optionsOrCallback || {};
+      cb = callback;
+    }
+
+    return callCallback(this.crossValidateInternal(options), cb);
+  }
+
+  /**
+   * crossValidateInternal
+   * trains a fresh copy of the model on each of the stratified folds,
+   * evaluates it on the held-out fold and reports the mean and the
+   * standard deviation of each metric over all folds
+   * @param {*} _options - {folds, ...training options}
+   */
+  async crossValidateInternal(_options) {
+    const { folds, ...trainingOptions } = {
+      folds: 5,
+      ..._options,
+    };
+    const dataRaw = this.neuralNetworkData.data.raw;
+
+    // create the metadata from all of the data, so that every
+    // fold has the same onehot legends as the full dataset
+    if (!this.neuralNetworkData.isMetadataReady) {
+      this.createMetaData(this.handleMissingValues(dataRaw));
+    }
+
+    const foldIndices = this.neuralNetworkData.createFolds(dataRaw, folds);
+
+    const results = [];
+    for (let i = 0; i < foldIndices.length; i += 1) {
+      const { training, test } = foldIndices[i];
+      const foldNetwork = this.createUntrainedCopy(training.map(idx => dataRaw[idx]));
+
+      // the folds are trained one after the other
+      // eslint-disable-next-line no-await-in-loop
+      await foldNetwork.trainInternal(trainingOptions, null, null);
+      // eslint-disable-next-line no-await-in-loop
+      const metrics = await foldNetwork.evaluateInternal(test.map(idx => dataRaw[idx]));
+
+      foldNetwork.dispose();
+      results.push(metrics);
+    }
+
+    // summarize the metrics that are single numbers
+    const mean = {};
+    const std = {};
+    Object.keys(results[0])
+      .filter(k => typeof results[0][k] === 'number')
+      .forEach(k => {
+        const values = results.map(metrics => metrics[k]);
+        mean[k] = nnUtils.getMean(values);
+        std[k] = nnUtils.getStandardDeviation(values);
+      });
+
+    return {
+      folds: results,
+      mean,
+      std,
+    };
+  }
+
+  /**
+   * searches for the hiddenUnits, learningRate, epochs and batchSize
+   * which score best on a validation split of the data
+   * @param {*} optionsOrCallback - {search, space, trials, metric, validationSplit}
+   * @param {*} callback
+   */
+  tune(optionsOrCallback, callback) {
+    let options;
+    let cb;
+    if (typeof optionsOrCallback === 'function') {
+      options = {};
+      cb = optionsOrCallback;
+    } else {
+      options = optionsOrCallback || {};
+      cb = callback;
+    }
+
+    return callCallback(this.tuneInternal(options), cb);
+  }
+
+  /**
+   * tuneInternal
+   * trains a fresh copy of the model for each trial on the same training
+   * split and scores it on the same validation split. the model of the
+   * best trial replaces the model, so it can be used right away
+   * @param {*} _options
+   */
+  async tuneInternal(_options) {
+    const dataRaw = this.neuralNetworkData.data.raw;
+
+    // create the metadata from all of the data, so that every
+    // trial has the same onehot legends as the full dataset
+    if (!this.neuralNetworkData.isMetadataReady) {
+      this.createMetaData(this.handleMissingValues(dataRaw));
+    }
+    const { meta } = this.neuralNetworkData;
+
+    const firstOutput = meta.outputs[Object.keys(meta.outputs)[0]];
+    const { search, space, trials, metric, validationSplit } = {
+      search: 'random',
+      space: TUNING_SPACE,
+      trials: _options.search === 'grid' ? Infinity : 10,
+      metric: firstOutput.legend ? 'accuracy' : 'mse',
+      validationSplit: 0.2,
+      ..._options,
+    };
+
+    const candidates = this.createTrials(search, space, trials);
+    if (candidates.length === 0) {
+      throw new Error('there are no trials to tune, use at least one trial and one value of each option');
+    }
+
+    const split = this.neuralNetworkData.splitData(dataRaw, { validationSplit });
+    if (split.validation.length === 0) {
+      throw new Error('there is not enough data for a validation split, add data or raise the validationSplit');
+    }
+
+    const results = [];
+    let best = null;
+    for (let i = 0; i < candidates.length; i += 1) {
+      const { hiddenUnits, learningRate, epochs, batchSize } = candidates[i];
+      const networkOptions = {};
+      if (hiddenUnits !== undefined) networkOptions.hiddenUnits = hiddenUnits;
+      if (learningRate !== undefined) networkOptions.learningRate = learningRate;
+      const trainingOptions = { validationSplit: 0 };
+      if (epochs !== undefined) trainingOptions.epochs = epochs;
+      if (batchSize !== undefined) trainingOptions.batchSize = batchSize;
+
+      const candidate = this.createUntrainedCopy(split.training, networkOptions);
+
+      // the trials are trained one after the other
+      // eslint-disable-next-line no-await-in-loop
+      await candidate.trainInternal(trainingOptions, null, null);
+      // eslint-disable-next-line no-await-in-loop
+      const metrics = await candidate.evaluateInternal(split.validation);
+      const score = this.getMetricScore(metrics, metric);
+      results.push({ params: candidates[i], score, metrics });
+
+      const isBetter =
+        best === null ||
+        (LOWER_IS_BETTER.includes(metric) ? score < best.score : score > best.score);
+      if (isBetter) {
+        if (best !== null) {
+          best.candidate.dispose();
+        }
+        best = { candidate, params: candidates[i], score };
+      } else {
+        candidate.dispose();
+      }
+    }
+
+    // keep the model and the options of the best trial. the ensemble
+    // of the replaced model would no longer match it
+    this.neuralNetwork.dispose();
+    this.disposeEnsemble();
+    this.neuralNetwork = best.candidate.neuralNetwork;
+    this.lastTrainingOptions = best.candidate.lastTrainingOptions;
+    this.options = {
+      ...this.options,
+      hiddenUnits: best.candidate.options.hiddenUnits,
+      learningRate: best.candidate.options.learningRate,
+      layers: best.candidate.options.layers,
+    };
+
+    return {
+      metric,
+      trials: results,
+      best: {
+        params: best.params,
+        score: best.score,
+      },
+    };
+  }
+
+  /**
+   * returns the parameters of each trial: every combination of the values
+   * of the space for a grid search, or random values for a random search.
+   * values are given as an array or as a range {min, max, scale, steps},
+   * of which a grid search tries steps evenly spaced values
+   * @param {*} search - 'random' | 'grid'
+   * @param {*} space - {hiddenUnits, learningRate, epochs, batchSize}
+   * @param {*} trials - the maximum number of trials
+   */
+  createTrials(search, space, trials) {
+    const params = Object.keys(space);
+    params.forEach(param => {
+      if (TUNING_SPACE[param] === undefined) {
+        throw new Error(`${param} can not be tuned. Use hiddenUnits, learningRate, epochs or batchSize`);
+      }
+    });
+
+    if (search === 'grid') {
+      const grid = params.reduce((combinations, param) => {
+        const values = Array.isArray(space[param])
+          ? space[param]
+          : this.getGridValues(space[param], INTEGER_PARAMS.includes(param));
+        return combinations.flatMap(combination =>
+          values.map(value => ({ ...combination, [param]: value })),
+        );
+      }, [{}]);
+      return grid.slice(0, trials);
+    }
+
+    if (search !== 'random') {
+      throw new Error(`${search} is not a supported search. Use 'random' or 'grid'`);
+    }
+    if (!Number.isFinite(trials)) {
+      throw new Error('a random search needs a number of trials');
+    }
+
+    return [...new Array(trials)].map(() => {
+      const trial = {};
+      params.forEach(param => {
+        const values = space[param];
+        if (Array.isArray(values)) {
+          [trial[param]] = randomSample(values, 1);
+          return;
+        }
+        const { min, max, scale = 'linear' } = values;
+        const value =
+          scale === 'log'
+            ? Math.exp(randomFloat(Math.log(min), Math.log(max)))
+            : randomFloat(min, max);
+        trial[param] = INTEGER_PARAMS.includes(param) ? Math.round(value) : value;
+      });
+      return trial;
+    });
+  }
+
+  /**
+   * returns evenly spaced values of a range {min, max, scale, steps},
+   * on a log scale if scale is 'log'
+   * @param {*} range
+   * @param {*} isInteger - whether the values are rounded
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getGridValues(range, isInteger) {
+    const { min, max, scale = 'linear', steps = GRID_STEPS } = range;
+    const toScale = scale === 'log' ? Math.log : value => value;
+    const fromScale = scale === 'log' ? Math.exp : value => value;
+
+    const values = [...new Array(steps)].map((item, idx) => {
+      const share = steps > 1 ? idx / (steps - 1) : 0;
+      const value = fromScale(toScale(min) + share * (toScale(max) - toScale(min)));
+      return isInteger ? Math.round(value) : value;
+    });
+    // rounding may turn several values into the same one
+    return [...new Set(values)];
+  }
+
+  /**
+   * returns a metric of the results of evaluate(), averaged
+   * over the outputs if the model has several outputs
+   * @param {*} metrics
+   * @param {*} metric
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getMetricScore(metrics, metric) {
+    if (typeof metrics[metric] === 'number') {
+      return metrics[metric];
+    }
+
+    const values = Object.values(metrics.perOutput || {})
+      .map(outputMetrics => outputMetrics[metric])
+      .filter(value => typeof value === 'number');
+    if (values.length === 0) {
+      throw new Error(`${metric} is not a metric of this model`);
+    }
+    return nnUtils.getMean(values);
+  }
+
+  /**
+   * evaluate the model on a held-out test set
+   * @param {*} dataOrUrl - an array of {xs, ys} or a url to a .json or .csv file
+   * @param {*} callback
+   */
+  evaluate(dataOrUrl, callback) {
+    return callCallback(this.evaluateInternal(dataOrUrl), callback);
+  }
+
+  /**
+   * evaluateInternal
+   * returns accuracy, precision, recall, f1 and a confusion matrix
+   * for classification or mse, mae and r2 for regression
+   * @param {*} dataOrUrl
+   */
+  async evaluateInternal(dataOrUrl) {
+    const { meta } = this.neuralNetworkData;
+
+    if (!this.neuralNetwork.isTrained) {
+      throw new Error('the model must be trained or loaded before it can be evaluated');
+    }
+
+    const dataRaw = await this.loadEvaluationData(dataOrUrl);
+    const { inputs, outputs } = this.formatEvaluationData(dataRaw);
+
+    const predictions = this.neuralNetwork.model.predict(inputs);
+    // models with several output layers have a tensor for each output
+    const actual = await Promise.all([].concat(outputs).map(tensor => tensor.array()));
+    const predicted = await Promise.all([].concat(predictions).map(tensor => tensor.array()));
+
+    inputs.dispose();
+    [].concat(outputs, predictions).forEach(tensor => tensor.dispose());
+
+    // each output layer is scored on its own
+    if (this.neuralNetworkData.isMultiHead()) {
+      const perOutput = {};
+      Object.keys(meta.outputs).forEach((k, idx) => {
+        perOutput[k] = this.getOutputMetrics(k, actual[idx], predicted[idx]);
+      });
+      return { perOutput };
+    }
+
+    const label = Object.keys(meta.outputs)[0];
+
+    // outputs with a legend are onehot encoded class or multi labels
+    if (meta.outputs[label].legend) {
+      return this.getOutputMetrics(label, actual[0], predicted[0]);
+    }
+
+    // otherwise compare the values of each output in their original units
+    const perOutput = {};
+    Object.keys(meta.outputs).forEach((k, idx) => {
+      perOutput[k] = this.getOutputMetrics(
+        k,
+        actual[0].map(row => [row[idx]]),
+        predicted[0].map(row => [row[idx]]),
+      );
+    });
+
+    const outputMetrics = Object.values(perOutput);
+    const average = key => outputMetrics.reduce((sum, m) => sum + m[key], 0) / outputMetrics.length;
+
+    return {
+      mse: average('mse'),
+      mae: average('mae'),
+      r2: average('r2'),
+      perOutput,
+    };
+  }
+
+  /**
+   * scores the predictions of one output: class labels get a confusion
+   * matrix with the accuracy, precision, recall and f1, multi labels are
+   * scored label by label and numbers are compared in their original units
+   * @param {*} label
+   * @param {*} actual - the encoded values of the output for each row
+   * @param {*} predicted - the predicted values of the output for each row
+   */
+  getOutputMetrics(label, actual, predicted) {
+    const { meta } = this.neuralNetworkData;
+    const outputMeta = meta.outputs[label];
+
+    // each label of a multi label output is scored on its own
+    if (outputMeta.dtype === 'multiLabel') {
+      return nnUtils.getMultiLabelMetrics(
+        actual,
+        predicted,
+        Object.keys(outputMeta.legend),
+        outputMeta.thresholds,
+      );
+    }
+
+    // outputs with a legend are onehot encoded class labels
+    if (outputMeta.legend) {
+      const labels = Object.keys(outputMeta.legend);
+      const confusionMatrix = nnUtils.getConfusionMatrix(
+        actual.map(row => nnUtils.getArgMax(row)),
+        predicted.map(row => nnUtils.getArgMax(row)),
+        labels.length,
+      );
+
+      // if debug mode is true, then show the confusion matrix
+      if (this.options.debug === true || this.options.debug === 'true') {
+        this.neuralNetworkVis.confusionMatrix(confusionMatrix, labels);
+      }
+
+      return {
+        ...nnUtils.getClassificationMetrics(confusionMatrix, labels),
+        confusionMatrix,
+        labels,
+      };
+    }
+
+    let actualValues = actual.map(row => row[0]);
+    let predictedValues = predicted.map(row => row[0]);
+
+    if (meta.isNormalized) {
+      actualValues = actualValues.map(v => nnUtils.unnormalizeValueByMethod(v, outputMeta));
+      predictedValues = predictedValues.map(v => nnUtils.unnormalizeValueByMethod(v, outputMeta));
+    }
+
+    return nnUtils.getRegressionMetrics(actualValues, predictedValues);
+  }
+
+  /**
+   * loads the evaluation data from a url
+   * or checks that the given array is formatted as [{xs, ys}]
+   * @param {*} dataOrUrl
+   */
+  async loadEvaluationData(dataOrUrl) {
+    const { meta } = this.neuralNetworkData;
+
+    let dataRaw;
+    if (typeof dataOrUrl === 'string') {
+      // loading data from a url replaces data.raw, so keep
+      // the training data around while the test set is loaded
+      const trainingDataRaw = this.neuralNetworkData.data.raw;
+      dataRaw = await this.neuralNetworkData.loadDataFromUrl(
+        dataOrUrl,
+        Object.keys(meta.inputs),
+        Object.keys(meta.outputs),
+        this.options.csvOptions,
+      );
+      this.neuralNetworkData.data.raw = trainingDataRaw;
+    } else if (Array.isArray(dataOrUrl) && dataOrUrl.every(item => item.xs && item.ys)) {
+      dataRaw = dataOrUrl;
+    } else {
+      throw new Error('evaluation data must be an array of {xs, ys} or a url to a json or csv file');
+    }
+
+    if (dataRaw.length === 0) {
+      throw new Error('there is no data to evaluate the model with');
+    }
+
+    // sequences can be given as their frames, like in addData()
+    if (this.isSequenceTask()) {
+      dataRaw = dataRaw.map(row => {
+        return Array.isArray(row.xs) ? { ...row, xs: this.formatSequence(row.xs) } : row;
+      });
+    }
+
+    // every class label must have been seen during training
+    // otherwise there is no onehot encoding for it
+    dataRaw.forEach((row, idx) => {
+      Object.entries(meta.outputs).forEach(([k, outputMeta]) => {
+        if (outputMeta.dtype === 'multiLabel') {
+          const unknownLabel = [].concat(row.ys[k]).find(val => outputMeta.legend[val] === undefined);
+          if (unknownLabel !== undefined) {
+            throw new Error(`the label "${unknownLabel}" of ${k} at row ${idx} was not in the training data`);
+          }
+        } else if (
+          outputMeta.legend &&
+          !nnUtils.isMissingValue(row.ys[k]) &&
+          outputMeta.legend[row.ys[k]] === undefined
+        ) {
+          throw new Error(`the label "${row.ys[k]}" of ${k} at row ${idx} was not in the training data`);
+        }
+      });
+    });
+
+    return dataRaw;
+  }
+
+  /**
+   * apply the onehot encodings and normalization of the
+   * training data to the evaluation data and convert it to tensors
+   * @param {*} _dataRaw
+   */
+  formatEvaluationData(_dataRaw) {
+    const { meta } = this.neuralNetworkData;
+    // impute the values of the training data rather than of the evaluation data
+    const dataRaw = this.handleMissingValues(_dataRaw, meta.imputedValues);
+
+    const evaluationData = meta.isNormalized
+      ? this.neuralNetworkData.normalizeDataRaw(dataRaw)
+      : this.neuralNetworkData.applyOneHotEncodingsToDataRaw(dataRaw);
+
+    return this.neuralNetworkData.convertRawToTensors(evaluationData);
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////////
+   * Explanations
+   * ////////////////////////////////////////////////////////////
+   */
+
+  /**
+   * explains a prediction by the contribution of each input column
+   * @param {*} _input
+   * @param {*} optionsOrCallback - {method: 'gradient' | 'permutation', output, label, samples}
+   * @param {*} cb
+   */
+  explain(_input, optionsOrCallback, cb) {
+    let options = {};
+    let callback = cb;
+
+    if (typeof optionsOrCallback === 'function') {
+      callback = optionsOrCallback;
+    } else if (optionsOrCallback instanceof Object) {
+      options = optionsOrCallback;
+    }
+
+    return callCallback(this.explainInternal(_input, options), callback);
+  }
+
+  /**
+   * explainInternal
+   * @param {*} _input
+   * @param {*} options
+   */
+  async explainInternal(_input, options) {
+    const { method = 'gradient', samples = 100 } = options;
+    const { meta } = this.neuralNetworkData;
+
+    if (this.options.task === 'imageClassification') {
+      throw new Error('explain() supports tabular and sequence inputs, not images');
+    }
+    if (!['gradient', 'permutation'].includes(method)) {
+      throw new Error(`${method} is not a supported method. Use 'gradient' or 'permutation'`);
+    }
+
+    const inputData = this.formatInputsForModel(_input, meta);
+    if (inputData.shape[0] !== 1) {
+      inputData.dispose();
+      throw new Error('explain() takes one input at a time');
+    }
+
+    const prediction = this.neuralNetwork.model.predict(inputData);
+    const predictedValues = await Promise.all([].concat(prediction).map(t => t.data()));
+    tf.dispose(prediction);
+
+    const target = this.getExplainTarget(predictedValues, meta, options);
+    // the predicted value of the target unit, summed over a batch
+    const predictTarget = x =>
+      tf.tidy(() => {
+        const output = [].concat(this.neuralNetwork.model.predict(x))[target.head];
+        return output.slice([0, target.unit], [-1, 1]).sum();
+      });
+
+    const groups = this.getInputUnitGroups(meta);
+    let contributions;
+    if (method === 'gradient') {
+      if (Object.values(meta.inputs).some(inputMeta => inputMeta.vocabulary)) {
+        inputData.dispose();
+        throw new Error("embedded inputs have no gradient, use { method: 'permutation' }");
+      }
+      // gradient × input of each unit
+      const unitContributions = tf.tidy(() =>
+        tf
+          .grad(predictTarget)(inputData)
+          .mul(inputData)
+          .dataSync(),
+      );
+      contributions = Object.entries(groups).map(([input, indices]) => ({
+        input,
+        contribution: indices.reduce((sum, idx) => sum + unitContributions[idx], 0),
+      }));
+    } else {
+      contributions = await this.getPermutationContributions(inputData, predictTarget, groups, samples);
+    }
+    inputData.dispose();
+
+    // the largest contributions first, whether positive or negative
+    contributions.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+    if (this.options.debug === true || this.options.debug === 'true') {
+      this.neuralNetworkVis.contributionChart(contributions);
+    }
+
+    return {
+      method,
+      output: target.output,
+      label: target.label,
+      prediction: predictedValues[target.head][target.unit],
+      contributions,
+    };
+  }
+
+  /**
+   * returns the indices of the flattened input units of each input column.
+   * onehot encoded columns have a unit for each class,
+   * sequences a unit for each frame
+   * @param {*} meta
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getInputUnitGroups(meta) {
+    const labels = Object.keys(meta.inputs);
+    const groups = {};
+
+    if (Object.values(meta.inputs).some(inputMeta => inputMeta.dtype === 'sequence')) {
+      // sequences are ordered by frame, then by feature
+      const [frames, features] = meta.inputUnits;
+      labels.forEach((label, feature) => {
+        groups[label] = [...new Array(frames)].map((v, frame) => frame * features + feature);
+      });
+      return groups;
+    }
+
+    let start = 0;
+    labels.forEach(label => {
+      const { legend } = meta.inputs[label];
+      const units = legend ? Object.keys(legend).length : 1;
+      groups[label] = [...new Array(units)].map((v, idx) => start + idx);
+      start += units;
+    });
+    return groups;
+  }
+
+  /**
+   * returns the output and the unit of the model output that is explained:
+   * the output given in the options or the first one, and for class labels
+   * the label given in the options or the predicted label
+   * @param {*} predictedValues - the values of each output of the model
+   * @param {*} meta
+   * @param {*} options - {output, label}
+   */
+  getExplainTarget(predictedValues, meta, options) {
+    const outputs = Object.keys(meta.outputs);
+    const output = options.output !== undefined ? options.output : outputs[0];
+    if (!outputs.includes(output)) {
+      throw new Error(`${output} is not an output of the model`);
+    }
+
+    // the outputs share one output layer unless the model has several heads
+    const isMultiHead = this.neuralNetworkData.isMultiHead(meta);
+    const head = isMultiHead ? outputs.indexOf(output) : 0;
+    let start = 0;
+    if (!isMultiHead) {
+      outputs.slice(0, outputs.indexOf(output)).forEach(k => {
+        start += meta.outputs[k].legend ? Object.keys(meta.outputs[k].legend).length : 1;
+      });
+    }
+
+    const { legend } = meta.outputs[output];
+    if (!legend) {
+      return { output, label: null, head, unit: start };
+    }
+
+    const labels = Object.keys(legend);
+    let { label } = options;
+    if (label === undefined) {
+      const values = Array.from(predictedValues[head]).slice(start, start + labels.length);
+      label = labels[nnUtils.getArgMax(values)];
+    } else if (!labels.includes(label)) {
+      throw new Error(`${label} is not a label of ${output}`);
+    }
+
+    return { output, label, head, unit: start + legend[label].indexOf(1) };
+  }
+
+  /**
+   * returns how much the target changes on average when the units of
+   * an input column are replaced by those of rows of the training data
+   * @param {*} inputData
+   * @param {*} predictTarget
+   * @param {*} groups
+   * @param {*} samples - the maximum number of training rows
+   */
+  async getPermutationContributions(inputData, predictTarget, groups, samples) {
+    if (this.data.training.length === 0) {
+      throw new Error("'permutation' needs the training data, use { method: 'gradient' }");
+    }
+
+    const rows = this.data.training.slice(0, samples);
+    const { inputs, outputs } = this.neuralNetworkData.convertRawToTensors(rows);
+    const rowValues = tf.tidy(() => inputs.reshape([rows.length, -1]).arraySync());
+    tf.dispose([inputs, outputs]);
+
+    const inputValues = Array.from(await inputData.data());
+    const baseTensor = predictTarget(inputData);
+    const base = (await baseTensor.data())[0];
+    baseTensor.dispose();
+
+    return Promise.all(
+      Object.entries(groups).map(async ([input, indices]) => {
+        const batch = rowValues.map(row => {
+          const values = [...inputValues];
+          indices.forEach(idx => {
+            values[idx] = row[idx];
+          });
+          return values;
+        });
+        const replacedTensor = tf.tidy(() =>
+          predictTarget(tf.tensor(batch.flat(), [batch.length, ...inputData.shape.slice(1)])),
+        );
+        const replaced = (await replacedTensor.data())[0] / batch.length;
+        replacedTensor.dispose();
+
+        return {
+          input,
+          contribution: base - replaced,
+        };
+      }),
+    );
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////////
+   * Save / Load Data
+   * ////////////////////////////////////////////////////////////
+   */
+
+  /**
+   * save data
+   * @param {*} nameOrCb
+   * @param {*} optionsOrCallback - {format: 'json' | 'csv' | 'ndjson'}
+   * @param {*} cb
+   */
+  saveData(nameOrCb, optionsOrCallback, cb) {
+    let options = {};
+    let callback = cb;
+
+    if (typeof nameOrCb === 'function') {
+      return this.saveData(null, {}, nameOrCb);
+    }
+    if (typeof optionsOrCallback === 'function') {
+      callback = optionsOrCallback;
+    } else if (optionsOrCallback instanceof Object) {
+      options = optionsOrCallback;
+    }
+
+    return callCallback(this.neuralNetworkData.saveData(nameOrCb, options), callback);
+  }
+
+  /**
+   * load data
+   * @param {*} filesOrPath
+   * @param {*} callback
+   */
+  async loadData(filesOrPath = null, callback) {
+    this.neuralNetworkData.loadData(filesOrPath, callback);
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////////
+   * Save / Load Model
+   * ////////////////////////////////////////////////////////////
+   */
+
+  /**
+   * saves the model, weights, and metadata.
+   * a name like indexeddb://name or localstorage://name
+   * saves them to the browser storage instead of downloading them
+   * @param {*} nameOrCb
+   * @param {*} optionsOrCallback - {format: 'files' | 'bundle'}
+   * @param {*} cb
+   */
+  save(nameOrCb, optionsOrCallback, cb) {
+    let options = {};
+    let callback = cb;
+
+    if (typeof nameOrCb === 'function') {
+      return this.save(null, {}, nameOrCb);
+    }
+    if (nameOrCb instanceof Object) {
+      return this.save(null, nameOrCb, optionsOrCallback);
+    }
+    if (typeof optionsOrCallback === 'function') {
+      callback = optionsOrCallback;
+    } else if (optionsOrCallback instanceof Object) {
+      options = optionsOrCallback;
+    }
+
+    const modelName = typeof nameOrCb === 'string' ? nameOrCb : 'model';
+    return callCallback(this.saveInternal(modelName, options), callback);
+  }
+
+  /**
+   * saveInternal
+   * @param {*} modelName
+   * @param {*} options
+   */
+  async saveInternal(modelName, options) {
+    const { format = 'files' } = options;
+
+    if (isStoragePath(modelName)) {
+      // the browser storage keeps the same bundle as a .ml5 file
+      const artifacts = await this.neuralNetwork.getArtifacts();
+      await saveToStorage(modelName, createBundle(artifacts, this.neuralNetworkData.meta));
+    } else if (format === 'bundle') {
+      // topology, weights and metadata in one file
+      const artifacts = await this.neuralNetwork.getArtifacts();
+      const bundle = createBundle(artifacts, this.neuralNetworkData.meta);
+      await saveBlob(JSON.stringify(bundle), `${modelName}${BUNDLE_EXTENSION}`, 'application/json');
+    } else if (format === 'files') {
+      await this.neuralNetwork.save(modelName);
+      await this.neuralNetworkData.saveMeta(modelName);
+    } else {
+      throw new Error(`${format} is not a supported format. Use 'files' or 'bundle'`);
+    }
+  }
+
+  /**
+   * load a model and metadata
+   * @param {*} filesOrPath - a path, {model, metadata, weights}, the files, a .ml5 bundle
+   * or a storage path like indexeddb://name
+   * @param {*} callback
+   */
+  load(filesOrPath = null, callback) {
+    return callCallback(this.loadInternal(filesOrPath), callback);
+  }
+
+  /**
+   * loadInternal
+   * @param {*} filesOrPath
+   */
+  async loadInternal(filesOrPath) {
+    if (isStoragePath(filesOrPath) || isBundle(filesOrPath)) {
+      const { artifacts, meta } = isStoragePath(filesOrPath)
+        ? parseBundle(await loadFromStorage(filesOrPath))
+        : await loadBundle(filesOrPath);
+      await this.neuralNetwork.loadArtifacts(artifacts);
+      this.neuralNetworkData.meta = meta;
+      this.neuralNetworkData.isMetadataReady = true;
+    } else {
+      await this.neuralNetwork.load(filesOrPath);
+      await this.neuralNetworkData.loadMeta(filesOrPath);
+    }
+
+    return this.neuralNetwork.model;
   }
 
   /**
@@ -1181,6 +3450,7 @@ class DiyNeuralNetwork {
    */
   dispose() {
     this.neuralNetwork.dispose();
+    this.disposeEnsemble();
   }
 
   /**
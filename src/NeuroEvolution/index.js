@@ -0,0 +1,309 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/*
+A population of neural networks which evolves by selection,
+crossover and mutation rather than by training on data
+*/
+
+import neuralNetwork from '../NeuralNetwork';
+import callCallback from '../utils/callcallback';
+
+const DEFAULTS = {
+  populationSize: 50,
+  // options of each ml5.neuralNetwork, e.g. {inputs: 4, outputs: ['up', 'down']}
+  nnOptions: {},
+  // 'tournament', 'roulette' or 'elitism'
+  selection: 'tournament',
+  tournamentSize: 3,
+  // the number of the fittest individuals which are kept unchanged
+  elitism: 1,
+  mutationRate: 0.1,
+  mutateFunction: null,
+  crossover: true,
+};
+
+const SELECTION_METHODS = ['tournament', 'roulette', 'elitism'];
+
+class NeuroEvolution {
+  /**
+   * Create a population of neural networks
+   * @param {*} options - see DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULTS,
+      ...options,
+    };
+
+    if (!SELECTION_METHODS.includes(this.options.selection)) {
+      throw new Error(
+        `${this.options.selection} is not a supported selection. Use 'tournament', 'roulette' or 'elitism'`,
+      );
+    }
+
+    // the number of the current generation, starting at 0
+    this.generation = 0;
+    // the fitness statistics of each finished generation
+    this.history = [];
+    // the fittest individual of all generations, {brain, fitness, generation}
+    this.best = null;
+
+    this.createBrain = this.createBrain.bind(this);
+    this.createPopulation = this.createPopulation.bind(this);
+    this.getStats = this.getStats.bind(this);
+    this.sortByFitness = this.sortByFitness.bind(this);
+    this.select = this.select.bind(this);
+    this.selectTournament = this.selectTournament.bind(this);
+    this.selectRoulette = this.selectRoulette.bind(this);
+    this.createChild = this.createChild.bind(this);
+    this.nextGeneration = this.nextGeneration.bind(this);
+    this.saveBest = this.saveBest.bind(this);
+    this.loadBest = this.loadBest.bind(this);
+    this.loadBestInternal = this.loadBestInternal.bind(this);
+    this.dispose = this.dispose.bind(this);
+
+    this.population = this.createPopulation();
+  }
+
+  /**
+   * creates a neural network which is built without training data
+   */
+  createBrain() {
+    return neuralNetwork({
+      ...this.options.nnOptions,
+      noTraining: true,
+    });
+  }
+
+  /**
+   * creates the individuals of the first generation,
+   * or copies of a brain with mutated weights
+   * @param {*} ancestor - optional, the brain all individuals descend from
+   */
+  createPopulation(ancestor = null) {
+    return [...new Array(this.options.populationSize)].map((item, idx) => {
+      let brain;
+      if (ancestor === null) {
+        brain = this.createBrain();
+      } else {
+        brain = ancestor.copy();
+        // the first individual keeps the weights of the ancestor
+        if (idx > 0) {
+          brain.mutate(this.options.mutationRate, this.options.mutateFunction);
+        }
+      }
+
+      return {
+        brain,
+        fitness: 0,
+      };
+    });
+  }
+
+  /**
+   * returns the best, mean and worst fitness of the current population
+   */
+  getStats() {
+    const fitnesses = this.population.map(individual => individual.fitness);
+
+    return {
+      generation: this.generation,
+      best: Math.max(...fitnesses),
+      mean: fitnesses.reduce((a, b) => a + b, 0) / fitnesses.length,
+      worst: Math.min(...fitnesses),
+    };
+  }
+
+  /**
+   * returns the individuals sorted from the fittest to the least fit
+   */
+  sortByFitness() {
+    return [...this.population].sort((a, b) => b.fitness - a.fitness);
+  }
+
+  /**
+   * selects a parent with the selection method of the options
+   * @param {*} ranked - the population sorted by fitness
+   */
+  select(ranked) {
+    switch (this.options.selection) {
+      case 'roulette':
+        return this.selectRoulette(ranked);
+      case 'elitism': {
+        // the parents are drawn from the fittest individuals only
+        const elites = ranked.slice(0, Math.max(this.options.elitism, 1));
+        return elites[Math.floor(Math.random() * elites.length)];
+      }
+      default:
+        return this.selectTournament(ranked);
+    }
+  }
+
+  /**
+   * returns the fittest of a few randomly drawn individuals
+   * @param {*} ranked
+   */
+  selectTournament(ranked) {
+    let winner = null;
+    for (let i = 0; i < this.options.tournamentSize; i += 1) {
+      const candidate = ranked[Math.floor(Math.random() * ranked.length)];
+      if (winner === null || candidate.fitness > winner.fitness) {
+        winner = candidate;
+      }
+    }
+    return winner;
+  }
+
+  /**
+   * draws an individual with a probability proportional to its fitness.
+   * negative fitness values are shifted so that the least fit has 0
+   * @param {*} ranked
+   */
+  // eslint-disable-next-line class-methods-use-this
+  selectRoulette(ranked) {
+    const lowest = Math.min(...ranked.map(individual => individual.fitness));
+    const offset = lowest < 0 ? -lowest : 0;
+    const total = ranked.reduce((sum, individual) => sum + individual.fitness + offset, 0);
+
+    // without any fitness every individual is as likely
+    if (total === 0) {
+      return ranked[Math.floor(Math.random() * ranked.length)];
+    }
+
+    let threshold = Math.random() * total;
+    for (let i = 0; i < ranked.length; i += 1) {
+      threshold -= ranked[i].fitness + offset;
+      if (threshold <= 0) {
+        return ranked[i];
+      }
+    }
+    return ranked[ranked.length - 1];
+  }
+
+  /**
+   * creates a new brain from one or two selected parents
+   * @param {*} ranked
+   */
+  createChild(ranked) {
+    const parentA = this.select(ranked);
+
+    let brain;
+    if (this.options.crossover) {
+      const parentB = this.select(ranked);
+      brain = parentA.brain.crossover(parentB.brain);
+    } else {
+      brain = parentA.brain.copy();
+    }
+    brain.mutate(this.options.mutationRate, this.options.mutateFunction);
+
+    return brain;
+  }
+
+  /**
+   * replaces the population by the next generation once the fitness
+   * of each individual has been set. the brains of the previous generation
+   * are disposed. returns the statistics of the finished generation
+   */
+  nextGeneration() {
+    const stats = this.getStats();
+    this.history.push(stats);
+
+    const ranked = this.sortByFitness();
+
+    // keep a copy of the fittest individual so far
+    if (this.best === null || ranked[0].fitness > this.best.fitness) {
+      if (this.best !== null) {
+        this.best.brain.dispose();
+      }
+      this.best = {
+        brain: ranked[0].brain.copy(),
+        fitness: ranked[0].fitness,
+        generation: this.generation,
+      };
+    }
+
+    const elites = ranked.slice(0, Math.min(this.options.elitism, ranked.length));
+    const nextPopulation = elites.map(individual => ({
+      brain: individual.brain.copy(),
+      fitness: 0,
+    }));
+    while (nextPopulation.length < this.options.populationSize) {
+      nextPopulation.push({
+        brain: this.createChild(ranked),
+        fitness: 0,
+      });
+    }
+
+    this.population.forEach(individual => individual.brain.dispose());
+    this.population = nextPopulation;
+    this.generation += 1;
+
+    return stats;
+  }
+
+  /**
+   * saves the fittest individual so far with neuralNetwork.save()
+   * @param {*} nameOrCb
+   * @param {*} optionsOrCallback
+   * @param {*} cb
+   */
+  saveBest(nameOrCb, optionsOrCallback, cb) {
+    if (this.best === null) {
+      throw new Error('there is no best individual before the first call of nextGeneration()');
+    }
+    return this.best.brain.save(nameOrCb, optionsOrCallback, cb);
+  }
+
+  /**
+   * loads a brain saved with saveBest() and replaces
+   * the population by mutated copies of it
+   * @param {*} filesOrPath
+   * @param {*} callback
+   */
+  loadBest(filesOrPath, callback) {
+    return callCallback(this.loadBestInternal(filesOrPath), callback);
+  }
+
+  /**
+   * loadBestInternal
+   * @param {*} filesOrPath
+   */
+  async loadBestInternal(filesOrPath) {
+    const brain = this.createBrain();
+    await brain.load(filesOrPath);
+
+    this.population.forEach(individual => individual.brain.dispose());
+    this.population = this.createPopulation(brain);
+
+    if (this.best !== null) {
+      this.best.brain.dispose();
+    }
+    // its fitness is not known until the next generation is evaluated
+    this.best = {
+      brain,
+      fitness: -Infinity,
+      generation: this.generation,
+    };
+
+    return brain;
+  }
+
+  /**
+   * dispose and release the memory of all brains
+   */
+  dispose() {
+    this.population.forEach(individual => individual.brain.dispose());
+    this.population = [];
+    if (this.best !== null) {
+      this.best.brain.dispose();
+      this.best = null;
+    }
+  }
+}
+
+const neuroEvolution = options => new NeuroEvolution(options);
+
+export default neuroEvolution;
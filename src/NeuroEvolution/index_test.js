@@ -0,0 +1,57 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+const { neuroEvolution } = ml5;
+
+const NE_OPTIONS = {
+  populationSize: 6,
+  elitism: 2,
+  nnOptions: {
+    inputs: 2,
+    outputs: ['left', 'right'],
+    task: 'classification',
+  },
+};
+
+describe('neuroEvolution', () => {
+  let ne;
+
+  beforeEach(() => {
+    ne = neuroEvolution(NE_OPTIONS);
+  });
+
+  afterEach(() => {
+    ne.dispose();
+  });
+
+  it('should create a population of neural networks', () => {
+    expect(ne.population.length).toBe(6);
+    expect(ne.population[0].brain.classifySync([0, 1]).length).toBe(2);
+  });
+
+  it('should step to the next generation and track the fitness', () => {
+    ne.population.forEach((individual, idx) => {
+      ne.population[idx].fitness = idx;
+    });
+    const fittest = ne.population[5].brain.classifySync([0.5, 0.5]);
+
+    const stats = ne.nextGeneration();
+    expect(stats).toEqual({ generation: 0, best: 5, mean: 2.5, worst: 0 });
+    expect(ne.generation).toBe(1);
+    expect(ne.history.length).toBe(1);
+    expect(ne.population.length).toBe(6);
+    expect(ne.population.every(individual => individual.fitness === 0)).toBe(true);
+
+    // the fittest individual is kept unchanged
+    expect(ne.best.fitness).toBe(5);
+    expect(ne.population[0].brain.classifySync([0.5, 0.5])).toEqual(fittest);
+  });
+
+  it('should only accept the supported selections', () => {
+    expect(() => neuroEvolution({ ...NE_OPTIONS, selection: 'random' })).toThrowError(
+      /random is not a supported selection/,
+    );
+  });
+});
@@ -28,6 +28,7 @@ import { version } from "../package.json";
 import sentiment from "./Sentiment";
 import bodyPix from "./BodyPix";
 import neuralNetwork from "./NeuralNetwork";
+import neuroEvolution from "./NeuroEvolution";
 import faceApi from "./FaceApi";
 import kmeans from "./KMeans";
 import cartoon from "./CartoonGAN";
@@ -37,6 +38,7 @@ import handpose from './Handpose';
 import p5Utils from "./utils/p5Utils";
 import communityStatement from "./utils/community";
 import * as testingUtils from "./utils/testingUtils";
+import { listStorage, deleteFromStorage } from "./utils/io";
 
 const withPreload = {
   charRNN,
@@ -78,5 +80,10 @@ module.exports = Object.assign({ p5Utils }, preloadRegister(withPreload), {
   tfvis,
   version,
   neuralNetwork,
-  testingUtils
+  neuroEvolution,
+  testingUtils,
+  storage: {
+    list: listStorage,
+    delete: deleteFromStorage,
+  },
 });
@@ -0,0 +1,189 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/*
+CSV reader following RFC 4180: fields may be quoted, quoted fields
+may contain delimiters, line breaks and quotes escaped as "",
+and lines may end with \n, \r\n or \r. Quoted fields and integers
+with leading zeros, such as zip codes or ids, are kept as strings.
+*/
+
+import axios from 'axios';
+
+const DEFAULTS = {
+  delimiter: ',',
+  // replaces the names from the header row
+  headers: null,
+  // set to false if the first row holds data rather than the column names
+  hasHeader: true,
+  // converts numeric fields which are not quoted to numbers
+  inferTypes: true,
+  // use ',' for european exports such as "1,5"
+  decimal: '.',
+};
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+// such as "00123", which would lose its zeros as a number
+const LEADING_ZERO = /^[-+]?0\d/;
+
+/**
+ * splits a csv string into rows of fields: {text, quoted}
+ * @param {string} text
+ * @param {string} delimiter
+ */
+const parseRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let i = 0;
+
+  const endField = () => {
+    row.push({ text: field, quoted });
+    field = '';
+    quoted = false;
+  };
+  const endRow = () => {
+    endField();
+    // skip blank lines such as a trailing line break
+    if (row.length > 1 || row[0].text !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      quoted = true;
+    } else if (text.startsWith(delimiter, i)) {
+      endField();
+      i += delimiter.length - 1;
+    } else if (char === '\r' || char === '\n') {
+      endRow();
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+    } else {
+      field += char;
+    }
+
+    i += 1;
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * converts a field to a number if it holds one,
+ * unless it has leading zeros
+ * @param {string} field
+ * @param {string} decimal
+ */
+const inferType = (field, decimal) => {
+  const value = field.trim();
+  const numeric = decimal === '.' ? value : value.split(decimal).join('.');
+  return NUMBER.test(numeric) && !LEADING_ZERO.test(numeric) ? Number(numeric) : field;
+};
+
+/**
+ * parses a csv string into an array of objects, one per row,
+ * with the column names as keys
+ * @param {string} text
+ * @param {object} options - {delimiter, headers, hasHeader, inferTypes, decimal}
+ */
+const parseCsv = (text, options = {}) => {
+  const { delimiter, headers, hasHeader, inferTypes, decimal } = {
+    ...DEFAULTS,
+    ...options,
+  };
+  if (!delimiter) {
+    throw new Error('the csv delimiter must not be empty');
+  }
+
+  // remove the byte order mark some spreadsheet exports start with
+  const rows = parseRows(text.replace(/^\uFEFF/, ''), delimiter);
+  const headerRow = hasHeader ? rows.shift() || [] : [];
+  // without names, the columns are named by their index
+  const columns =
+    headers ||
+    (hasHeader
+      ? headerRow.map(({ text: name }) => name.trim())
+      : (rows[0] || []).map((f, idx) => `${idx}`));
+
+  return rows.map(row => {
+    const entry = {};
+    columns.forEach((name, idx) => {
+      const { text: field, quoted } = row[idx] || { text: '', quoted: false };
+      entry[name] = inferTypes && !quoted ? inferType(field, decimal) : field;
+    });
+    return entry;
+  });
+};
+
+/**
+ * quotes a field if it contains the delimiter, a quote,
+ * a line break or leading or trailing spaces
+ * @param {*} value
+ * @param {string} delimiter
+ */
+const formatField = (value, delimiter) => {
+  const field = value === undefined || value === null ? '' : String(value);
+  if (field.includes(delimiter) || /["\r\n]/.test(field) || field.trim() !== field) {
+    return `"${field.replace(/"/g, '""')}"`;
+  }
+  return field;
+};
+
+/**
+ * creates a csv string from an array of objects. the columns are
+ * the keys of all objects in the order they first appear
+ * @param {array} entries
+ * @param {object} options - {delimiter}
+ */
+const stringifyCsv = (entries, options = {}) => {
+  const { delimiter } = { ...DEFAULTS, ...options };
+
+  const columns = [];
+  entries.forEach(entry => {
+    Object.keys(entry).forEach(name => {
+      if (!columns.includes(name)) columns.push(name);
+    });
+  });
+
+  const lines = [columns, ...entries.map(entry => columns.map(name => entry[name]))].map(row =>
+    row.map(value => formatField(value, delimiter)).join(delimiter),
+  );
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * loads and parses a csv file
+ * @param {string} path
+ * @param {object} options - see parseCsv()
+ */
+const loadCsv = async (path, options = {}) => {
+  // keep the response as text, axios would otherwise try to parse it as json
+  const { data } = await axios.get(path, { responseType: 'text', transformResponse: res => res });
+  return parseCsv(data, options);
+};
+
+export { parseCsv, stringifyCsv, loadCsv, inferType };
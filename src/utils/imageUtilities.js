@@ -141,7 +141,54 @@ function isInstanceOfSupportedElement(subject) {
     || subject instanceof ImageData)
 }
 
-function imgToPixelArray(img){
+// Returns the rectangle an image is drawn to on a canvas of the given size:
+// stretched to fill it, cropped to cover it or letterboxed to fit into it
+const getDrawRect = (sourceWidth, sourceHeight, width, height, fit = 'stretch') => {
+  if (fit === 'stretch') {
+    return { x: 0, y: 0, width, height };
+  }
+  if (fit !== 'crop' && fit !== 'letterbox') {
+    throw new Error(`${fit} is not a way to fit an image. Use 'stretch', 'crop' or 'letterbox'`);
+  }
+
+  const scaleX = width / sourceWidth;
+  const scaleY = height / sourceHeight;
+  const scale = fit === 'crop' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+  const drawWidth = sourceWidth * scale;
+  const drawHeight = sourceHeight * scale;
+  return {
+    x: (width - drawWidth) / 2,
+    y: (height - drawHeight) / 2,
+    width: drawWidth,
+    height: drawHeight,
+  };
+};
+
+// Converts RGBA pixel values to the number of channels:
+// 4 keeps RGBA, 3 drops the alpha channel and 1 converts to grayscale
+const convertChannels = (rgba, channels = 4) => {
+  if (channels === 4) {
+    return Array.from(rgba);
+  }
+  if (channels !== 3 && channels !== 1) {
+    throw new Error(`images can have 1, 3 or 4 channels, not ${channels}`);
+  }
+
+  const pixels = [];
+  for (let i = 0; i < rgba.length; i += 4) {
+    if (channels === 3) {
+      pixels.push(rgba[i], rgba[i + 1], rgba[i + 2]);
+    } else {
+      pixels.push(Math.round((0.299 * rgba[i]) + (0.587 * rgba[i + 1]) + (0.114 * rgba[i + 2])));
+    }
+  }
+  return pixels;
+};
+
+// Returns the pixel values of an image. With a width and height the
+// image is resized, with 'fit' it is stretched, cropped or letterboxed.
+// options: {width, height, channels, fit}
+function imgToPixelArray(img, options = {}){
   // image image, bitmap, or canvas
   let imgWidth;
   let imgHeight;
@@ -175,15 +222,36 @@ function imgToPixelArray(img){
     imgHeight = inputImg.height;
   }
 
+  // ImageData can not be drawn, it is put on a canvas first
+  if (inputImg instanceof ImageData) {
+    const imageDataCanvas = document.createElement('canvas');
+    imageDataCanvas.width = imgWidth;
+    imageDataCanvas.height = imgHeight;
+    imageDataCanvas.getContext('2d').putImageData(inputImg, 0, 0);
+    inputImg = imageDataCanvas;
+  }
+
+  const { width = imgWidth, height = imgHeight, channels = 4, fit = 'stretch' } = options;
+  // the aspect ratio of a video is the one of its frames
+  const sourceWidth = inputImg.videoWidth || imgWidth;
+  const sourceHeight = inputImg.videoHeight || imgHeight;
+  const rect = getDrawRect(sourceWidth, sourceHeight, width, height, fit);
+
   const canvas = document.createElement('canvas');
-  canvas.width = imgWidth;
-  canvas.height = imgHeight;
+  canvas.width = width;
+  canvas.height = height;
 
   const ctx = canvas.getContext('2d');
-  ctx.drawImage(inputImg, 0, 0, imgWidth, imgHeight);
+  // letterboxed images are padded with black, stretched
+  // and cropped images cover the whole canvas
+  if (fit === 'letterbox') {
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(inputImg, rect.x, rect.y, rect.width, rect.height);
 
-  const imgData = ctx.getImageData(0,0, imgWidth, imgHeight)
-  return Array.from(imgData.data)
+  const imgData = ctx.getImageData(0,0, width, height)
+  return convertChannels(imgData.data, channels)
 }
 
 export {
@@ -193,5 +261,7 @@ export {
   imgToTensor,
   isInstanceOfSupportedElement,
   flipImage,
-  imgToPixelArray
+  imgToPixelArray,
+  getDrawRect,
+  convertChannels
 };
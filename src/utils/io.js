@@ -31,7 +31,172 @@ const loadFile = async (path, callback) => axios.get(path)
     throw error;
   });
 
+const INDEXEDDB_DATABASE = 'ml5';
+const INDEXEDDB_STORE = 'files';
+// The checkpoints of a training share the store, but are not saved models
+const CHECKPOINT_PREFIX = 'ml5-checkpoint-';
+
+// Opens the ml5 IndexedDB database and creates its store on first use
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(INDEXEDDB_DATABASE, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(INDEXEDDB_STORE);
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs a single request against the store and resolves with its result
+const runStoreRequest = async (mode, createRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(INDEXEDDB_STORE, mode);
+    const request = createRequest(transaction.objectStore(INDEXEDDB_STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+const saveToIndexedDB = (key, value) => runStoreRequest('readwrite', store => store.put(value, key));
+
+const loadFromIndexedDB = key => runStoreRequest('readonly', store => store.get(key));
+
+const deleteFromIndexedDB = key => runStoreRequest('readwrite', store => store.delete(key));
+
+// Encodes an ArrayBuffer, e.g. the weights of a model, as a base64 string
+const arrayBufferToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // String.fromCharCode takes a limited number of arguments
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+};
+
+// Decodes a base64 string to an ArrayBuffer
+const base64ToArrayBuffer = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+/**
+ * Browser storage
+ * Models are saved to and loaded from paths like "indexeddb://name"
+ * or "localstorage://name" instead of downloading files.
+ * The values have to be serializable as JSON
+ */
+const STORAGE_PATH = /^(indexeddb|localstorage):\/\/(.+)$/;
+const LOCALSTORAGE_PREFIX = 'ml5/';
+
+const isStoragePath = path => typeof path === 'string' && STORAGE_PATH.test(path);
+
+const parseStoragePath = (path) => {
+  const match = STORAGE_PATH.exec(path);
+  if (!match) {
+    throw new Error(`${path} is not a storage path. Use indexeddb://name or localstorage://name`);
+  }
+  return { scheme: match[1], name: match[2] };
+};
+
+// Saves a value along with the time it was saved
+const saveToStorage = async (path, data) => {
+  const { scheme, name } = parseStoragePath(path);
+  const entry = { savedAt: new Date().toISOString(), data };
+
+  if (scheme === 'indexeddb') {
+    await saveToIndexedDB(name, entry);
+    return;
+  }
+  try {
+    localStorage.setItem(`${LOCALSTORAGE_PREFIX}${name}`, JSON.stringify(entry));
+  } catch (error) {
+    throw new Error(`${path} could not be saved, it may be too large for localStorage. Try indexeddb://${name}: ${error.message}`);
+  }
+};
+
+const loadFromStorage = async (path) => {
+  const { scheme, name } = parseStoragePath(path);
+
+  let entry;
+  if (scheme === 'indexeddb') {
+    entry = await loadFromIndexedDB(name);
+  } else {
+    const item = localStorage.getItem(`${LOCALSTORAGE_PREFIX}${name}`);
+    entry = item !== null ? JSON.parse(item) : undefined;
+  }
+
+  if (!entry || entry.data === undefined) {
+    throw new Error(`there is nothing saved at ${path}`);
+  }
+  return entry.data;
+};
+
+// Lists the saved values of one or both storages as [{ path, savedAt }]
+const listStorage = async (scheme = null) => {
+  const items = [];
+
+  if (scheme === null || scheme === 'indexeddb') {
+    const keys = await runStoreRequest('readonly', store => store.getAllKeys());
+    const entries = await runStoreRequest('readonly', store => store.getAll());
+    keys.forEach((key, idx) => {
+      if (String(key).startsWith(CHECKPOINT_PREFIX)) return;
+      items.push({ path: `indexeddb://${key}`, savedAt: entries[idx].savedAt });
+    });
+  }
+  if (scheme === null || scheme === 'localstorage') {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(LOCALSTORAGE_PREFIX))
+      .forEach((key) => {
+        // values which were not saved by ml5, such as those
+        // of other scripts using the same prefix, are skipped
+        let entry;
+        try {
+          entry = JSON.parse(localStorage.getItem(key));
+        } catch (error) {
+          return;
+        }
+        if (entry === null || typeof entry !== 'object') return;
+        items.push({ path: `localstorage://${key.slice(LOCALSTORAGE_PREFIX.length)}`, savedAt: entry.savedAt });
+      });
+  }
+
+  return items;
+};
+
+const deleteFromStorage = async (path) => {
+  const { scheme, name } = parseStoragePath(path);
+
+  if (scheme === 'indexeddb') {
+    await deleteFromIndexedDB(name);
+  } else {
+    localStorage.removeItem(`${LOCALSTORAGE_PREFIX}${name}`);
+  }
+};
+
 export {
+  CHECKPOINT_PREFIX,
   saveBlob,
   loadFile,
+  saveToIndexedDB,
+  loadFromIndexedDB,
+  deleteFromIndexedDB,
+  arrayBufferToBase64,
+  base64ToArrayBuffer,
+  isStoragePath,
+  saveToStorage,
+  loadFromStorage,
+  listStorage,
+  deleteFromStorage,
 };
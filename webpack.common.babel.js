@@ -1,9 +1,11 @@
+/* eslint-disable import/no-extraneous-dependencies */
 // Copyright (c) 2018 ml5
 // 
 // This software is released under the MIT License.
 // https://opensource.org/licenses/MIT
 
 import { join, resolve } from 'path';
+import CopyPlugin from 'copy-webpack-plugin';
 
 const include = join(__dirname, 'src');
 
@@ -35,6 +37,11 @@ export default {
       },
     ],
   },
+  // the web worker of the neural network loads the tf.js build
+  // ml5 bundles from next to the ml5 script
+  plugins: [
+    new CopyPlugin([{ from: 'node_modules/@tensorflow/tfjs/dist/tf.min.js' }]),
+  ],
   node: {
     fs: "empty"
   },